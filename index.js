@@ -1,9 +1,13 @@
 require('dotenv').config();
 const express = require('express');
-const { Client, GatewayIntentBits, EmbedBuilder, ActionRowBuilder, StringSelectMenuBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { Client, GatewayIntentBits, EmbedBuilder, ActionRowBuilder, StringSelectMenuBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits, AttachmentBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
 const mongoose = require('mongoose');
 const schedule = require('node-schedule');
 const moment = require('moment-timezone');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch: undiciFetch } = require('undici');
 
 // Initialize Express app for Render.com
 const app = express();
@@ -20,19 +24,20 @@ app.get('/', (req, res) => {
   });
 });
 
-// Start Express server
-app.listen(PORT, () => {
-  const timestamp = moment().tz('Asia/Kolkata').format('YYYY-MM-DD HH:mm:ss');
-  console.log(`[${timestamp}] SERVER: Express server running on port ${PORT}`);
-});
+// Start Express server. The server, database and bot only start when this file is run directly;
+// the tests require it for its helpers
+if (require.main === module) {
+  app.listen(PORT, () => {
+    const timestamp = moment().tz('Asia/Kolkata').format('YYYY-MM-DD HH:mm:ss');
+    console.log(`[${timestamp}] SERVER: Express server running on port ${PORT}`);
+  });
+}
 
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMessages,
     GatewayIntentBits.GuildMembers,
-    GatewayIntentBits.DirectMessages,
-    GatewayIntentBits.MessageContent
+    GatewayIntentBits.DirectMessages
   ]
 });
 
@@ -50,6 +55,11 @@ class Logger {
     console.log(logTypes[type] || logTypes.info);
   }
 
+  static error(message, context) {
+    const timestamp = moment().tz('Asia/Kolkata').format('YYYY-MM-DD HH:mm:ss');
+    console.error(`\x1b[31m[${timestamp}] ERROR ${context ? `(${context})` : ''}: \x1b[0m${message}`);
+  }
+
   static database(message, operation) {
     const timestamp = moment().tz('Asia/Kolkata').format('YYYY-MM-DD HH:mm:ss');
     console.log(`\x1b[34m[${timestamp}] DATABASE ${operation ? `(${operation})` : ''}: \x1b[0m${message}`);
@@ -62,270 +72,1569 @@ class Logger {
 }
 
 // MongoDB Connection
-mongoose.connect(process.env.MONGO_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true
-}).then(() => {
-  Logger.database('Connected successfully', 'CONNECT');
-}).catch(err => {
-  Logger.error(`Connection error: ${err.message}`, 'CONNECT');
-  process.exit(1);
-});
+if (require.main === module) {
+  mongoose.connect(process.env.MONGO_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  }).then(() => {
+    Logger.database('Connected successfully', 'CONNECT');
+    return runMigrations().catch(err => {
+      Logger.error(`Migration failed: ${err.message}`, 'MIGRATION');
+      process.exit(1);
+    });
+  }).catch(err => {
+    Logger.error(`Connection error: ${err.message}`, 'CONNECT');
+    process.exit(1);
+  });
+}
 
 // Database Schema
+// Vehicle categories and the emoji shown next to them
+const CAR_CATEGORIES = {
+  car: '🚗',
+  bike: '🏍️',
+  heli: '🚁',
+  boat: '🚤'
+};
+
 const carInsuranceSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
   carName: { type: String, required: true },
-  numberPlate: { type: String, required: true, unique: true },
+  numberPlate: { type: String, required: true },
   expiryDate: { type: Date, required: true },
   addedBy: { type: String, required: true },
+  addedById: { type: String }, // Id of whoever registered the car; tags change, so the added-by filter uses this
+  ownerId: { type: String }, // Member responsible for the car, DMed as it approaches expiry
+  notes: { type: String },
+  category: { type: String, enum: Object.keys(CAR_CATEGORIES) },
+  garage: { type: String }, // Where the vehicle is parked
+  policyNumber: { type: String }, // Policy or receipt number from the insurer
+  renewalCost: { type: Number, min: 0 },
+  imageUrl: { type: String },
+  // Link to the re-posted message holding an uploaded photo; its attachment link expires, the message doesn't
+  imageMessageLink: { type: String },
+  // Renewed by the daily update for `days` more once it reaches its expiry day
+  autoRenew: {
+    enabled: { type: Boolean, default: false },
+    days: { type: Number, min: 1 },
+    cost: { type: Number, min: 0 },
+    updatedBy: { type: String }
+  },
+  snoozedUntil: { type: Date }, // Reminders held back until then by the alert Snooze button
+  // Set by the alert "Mark handled" button; silences reminders until the expiry date changes
+  handled: {
+    expiryDate: { type: Date },
+    by: { type: String },
+    at: { type: Date }
+  },
   lastUpdated: { type: Date, default: Date.now },
-  lastDayDecrease: { type: Date } // Track when the last day decrease happened
+  // Reminder stages already sent for the expiry date they were sent for
+  reminders: {
+    expiryDate: { type: Date },
+    stages: { type: [Number], default: [] }
+  }
 });
+// Number plates only need to be unique within a guild's own fleet
+carInsuranceSchema.index({ guildId: 1, numberPlate: 1 }, { unique: true });
 const CarInsurance = mongoose.model('CarInsurance', carInsuranceSchema);
 
+// A reminder fires once per car when its days left first drops to `days` or below
+const reminderStageSchema = new mongoose.Schema({
+  days: { type: Number, required: true, min: 0 },
+  label: { type: String },
+  color: { type: Number, default: 0xFF0000 },
+  mentionRoleIds: { type: [String], default: [] }, // Empty means the guild's ping roles
+  channelId: { type: String } // Empty means the guild's alert channel
+}, { _id: false });
+
+const DEFAULT_REMINDER_STAGES = [
+  { days: 7, label: 'One week left', color: 0xFFA500 },
+  { days: 3, label: 'Three days left', color: 0xFF4500 },
+  { days: 1, label: 'Expires tomorrow', color: 0xFF0000 },
+  { days: 0, label: 'Expired', color: 0x8B0000 }
+];
+
+// Removed records stay in the trash this long before MongoDB purges them
+const TRASH_RETENTION_DAYS = 30;
+
+// Number plates: 2-15 letters, digits or hyphens
+const PLATE_PATTERN = /^[A-Z0-9-]{2,15}$/i;
+
+// Limits for /import_car_insurance uploads
+const MAX_IMPORT_BYTES = 512 * 1024;
+const MAX_IMPORT_ROWS = 500;
+
+// Upper bound on members DMed by one /dm_* command
+const MAX_DM_RECIPIENTS = 50;
+
+// Events an outgoing webhook can subscribe to, with the label shown in /webhooks
+const WEBHOOK_EVENTS = {
+  create: 'Vehicle registered',
+  extend: 'Insurance extended',
+  reduce: 'Insurance reduced',
+  remove: 'Vehicle removed',
+  alert: 'Reminder stage reached'
+};
+const MAX_WEBHOOKS_PER_GUILD = 10;
+const WEBHOOK_TIMEOUT_MS = 10000;
+// Minutes to wait before each retry; a delivery is marked failed once these run out
+const WEBHOOK_RETRY_MINUTES = [1, 5, 30, 120, 720];
+// Delivery log entries are dropped by MongoDB after this many days
+const WEBHOOK_LOG_DAYS = 30;
+
+// Webhooks may only reach public hosts; loopback, private, link-local (cloud metadata) and reserved ranges would let
+// a server manager probe the bot's own network. IPv4-mapped IPv6 addresses are matched against the IPv4 ranges too
+const BLOCKED_WEBHOOK_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_WEBHOOK_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_WEBHOOK_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+// Webhook requests resolve the host again as the socket connects and refuse blocked addresses there, so a name
+// re-pointed at an internal address after getWebhookUrlProblem checked it (DNS rebinding) still cannot be reached
+const webhookAgent = new Agent({
+  connect: {
+    lookup(hostname, options, callback) {
+      dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => BLOCKED_WEBHOOK_NETWORKS.check(entry.address, entry.family === 6 ? 'ipv6' : 'ipv4'));
+        if (blocked) return callback(new Error(`${hostname} resolved to the blocked address ${blocked.address}`));
+        callback(null, address, family);
+      });
+    }
+  }
+});
+
+// Permission actions and the commands they gate
+const PERMISSION_ACTIONS = ['view', 'create', 'extend', 'reduce', 'remove', 'alert', 'dm', 'scan'];
+
+const COMMAND_PERMISSIONS = {
+  list_car_insurance: 'view',
+  export_car_insurance: 'view',
+  insurance_report: 'view',
+  history: 'view',
+  audit: 'view',
+  ping: 'view',
+  new_car_insurance: 'create',
+  import_car_insurance: 'create',
+  assign_owner: 'create',
+  edit_car_insurance: 'create',
+  add_car_insurance: 'extend',
+  less_car_insurance: 'reduce',
+  bulk_extend: 'extend',
+  set_expiry: 'extend',
+  auto_renew: 'extend',
+  remove_car_insurance: 'remove',
+  restore_car_insurance: 'remove',
+  alert_insurance: 'alert',
+  dm_car_insurance_list: 'dm',
+  dm_alert_car_insurance: 'dm',
+  scan_insurance: 'scan',
+  jobs: 'alert'
+};
+
+// Unconfigured actions are open to the privileged roles, except removal which starts with server managers only
+const DEFAULT_PERMISSIONS = {
+  remove: () => []
+};
+
+// Per-guild settings, editable at runtime through /config
+const guildConfigSchema = new mongoose.Schema({
+  guildId: { type: String, required: true, unique: true },
+  alertChannelId: { type: String },
+  photoChannelId: { type: String }, // Uploaded vehicle photos are re-posted here, or in the alert channel when unset
+  privilegedRoleIds: { type: [String], default: [] },
+  pingRoleIds: { type: [String], default: [] },
+  // Action -> allowed role ids; actions without an entry fall back to DEFAULT_PERMISSIONS
+  permissions: { type: Map, of: [String], default: {} },
+  alertThreshold: { type: Number, default: 3 },
+  warningThreshold: { type: Number, default: 7 },
+  reminderStages: { type: [reminderStageSchema], default: () => DEFAULT_REMINDER_STAGES },
+  dailyRunTime: { type: String, default: '08:28' },
+  updatedBy: { type: String },
+  lastUpdated: { type: Date, default: Date.now }
+});
+const GuildConfig = mongoose.model('GuildConfig', guildConfigSchema);
+
+// Removed records, kept for restoring until purgeAt
+const deletedCarInsuranceSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  carName: { type: String, required: true },
+  numberPlate: { type: String, required: true },
+  expiryDate: { type: Date, required: true },
+  record: { type: mongoose.Schema.Types.Mixed, required: true }, // Full original document
+  deletedBy: { type: String, required: true },
+  deletedAt: { type: Date, default: Date.now },
+  purgeAt: { type: Date, required: true }
+});
+deletedCarInsuranceSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+deletedCarInsuranceSchema.index({ guildId: 1, numberPlate: 1 });
+const DeletedCarInsurance = mongoose.model('DeletedCarInsurance', deletedCarInsuranceSchema);
+
+// Audit trail: one entry per change to a car's insurance
+const insuranceEventSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  numberPlate: { type: String, required: true },
+  carName: { type: String, required: true },
+  type: { type: String, required: true, enum: ['create', 'extend', 'reduce', 'set_expiry', 'edit', 'rename', 'remove', 'restore', 'assign_owner', 'import'] },
+  actorId: { type: String, required: true },
+  actorTag: { type: String, required: true },
+  // Who actorId refers to: a Discord member, an API key's id, or the bot itself for automatic changes
+  actorType: { type: String, enum: ['member', 'api_key', 'system'], default: 'member' },
+  oldExpiry: { type: Date },
+  newExpiry: { type: Date },
+  dayDelta: { type: Number },
+  ownerId: { type: String }, // New owner for assign_owner events
+  changedFields: { type: [String], default: undefined }, // Detail fields touched by edit events
+  previousPlate: { type: String }, // Plate before a rename event
+  amount: { type: Number, min: 0 }, // What was paid for a registration or extension
+  category: { type: String }, // Vehicle category when the event happened, for spend reports
+  createdAt: { type: Date, default: Date.now }
+});
+insuranceEventSchema.index({ guildId: 1, numberPlate: 1, createdAt: -1 });
+insuranceEventSchema.index({ guildId: 1, actorId: 1, createdAt: -1 });
+insuranceEventSchema.index({ guildId: 1, createdAt: -1, amount: 1 });
+const InsuranceEvent = mongoose.model('InsuranceEvent', insuranceEventSchema);
+
+// Multi-step actions waiting on a confirm button; MongoDB drops them once expiresAt passes
+const pendingActionSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  userId: { type: String, required: true },
+  type: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  expiresAt: { type: Date, required: true }
+});
+pendingActionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const PendingAction = mongoose.model('PendingAction', pendingActionSchema);
+
+// One record per scheduled job, guild and IST day; the unique key keeps each daily run from happening twice
+const jobRunSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  job: { type: String, required: true },
+  runDate: { type: String, required: true }, // YYYY-MM-DD in IST
+  status: { type: String, required: true, enum: ['running', 'success', 'failed'] },
+  trigger: { type: String, required: true, enum: ['schedule', 'catch_up', 'manual'] },
+  triggeredBy: { type: String },
+  attempts: { type: Number, default: 1 },
+  startedAt: { type: Date, required: true },
+  finishedAt: { type: Date },
+  durationMs: { type: Number },
+  result: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String }
+});
+jobRunSchema.index({ guildId: 1, job: 1, runDate: 1 }, { unique: true });
+jobRunSchema.index({ guildId: 1, startedAt: -1 });
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+// Keys for the /api/v1 REST API; only a SHA-256 hash is stored, the key itself is shown once on creation
+const apiKeySchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  name: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  prefix: { type: String, required: true }, // First characters of the key, to tell keys apart
+  access: { type: String, required: true, enum: ['read', 'write'] },
+  createdBy: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date }
+});
+apiKeySchema.index({ guildId: 1, name: 1 }, { unique: true });
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+// Outgoing webhook endpoints; the secret signs every payload so receivers can verify where it came from
+const webhookSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  name: { type: String, required: true },
+  url: { type: String, required: true },
+  secret: { type: String, required: true },
+  events: { type: [String], enum: Object.keys(WEBHOOK_EVENTS), required: true },
+  createdBy: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+webhookSchema.index({ guildId: 1, name: 1 }, { unique: true });
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+// Delivery log; pending deliveries are picked up again by the retry sweep, so retries survive restarts
+const webhookDeliverySchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  webhookId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  webhookName: { type: String, required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, required: true, enum: ['pending', 'success', 'failed'] },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date },
+  responseStatus: { type: Number },
+  error: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  deliveredAt: { type: Date }
+});
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ guildId: 1, webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: WEBHOOK_LOG_DAYS * 24 * 60 * 60 });
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// Secret calendar feed links from /calendar_link; the token in the URL is the only credential, so it is kept to re-send the same link
+const calendarFeedSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  userId: { type: String, required: true },
+  scope: { type: String, required: true, enum: ['guild', 'owner'] }, // Whole fleet, or the member's own cars
+  token: { type: String, required: true, unique: true },
+  alarmDays: { type: Number, default: 1 },
+  createdAt: { type: Date, default: Date.now },
+  lastFetchedAt: { type: Date }
+});
+calendarFeedSchema.index({ guildId: 1, userId: 1, scope: 1 }, { unique: true });
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+// One-time data migrations, recorded by name so each runs exactly once
+const migrationSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  appliedAt: { type: Date, default: Date.now },
+  details: { type: mongoose.Schema.Types.Mixed }
+});
+const Migration = mongoose.model('Migration', migrationSchema);
+
+const migrations = [
+  {
+    // Expiry dates used to be shifted back a day by a cron job. They are now fixed
+    // calendar dates (start of the IST day), so drop the tracking field and normalize.
+    // The old days-left count rounded up, so a time after midnight rounds up to the next
+    // day; that keeps every car's displayed count and its last valid day unchanged.
+    name: '001-calendar-expiry-dates',
+    async up() {
+      const cars = await CarInsurance.collection.find({}).toArray();
+      let normalized = 0;
+
+      for (const car of cars) {
+        const expiry = moment(car.expiryDate).tz('Asia/Kolkata');
+        const startOfDay = expiry.clone().startOf('day');
+        const expiryDay = (expiry.isAfter(startOfDay) ? startOfDay.add(1, 'day') : startOfDay).toDate();
+        await CarInsurance.collection.updateOne(
+          { _id: car._id },
+          { $set: { expiryDate: expiryDay }, $unset: { lastDayDecrease: '' } }
+        );
+        normalized++;
+      }
+
+      return { normalized };
+    }
+  },
+  {
+    // Records predate multi-guild support and all belong to the original GUILD_ID server
+    name: '002-guild-scoped-cars',
+    async up() {
+      const unscoped = await CarInsurance.collection.countDocuments({ guildId: { $exists: false } });
+      if (unscoped > 0 && !process.env.GUILD_ID) {
+        throw new Error(`${unscoped} records have no guild; set GUILD_ID to assign them`);
+      }
+
+      const result = await CarInsurance.collection.updateMany(
+        { guildId: { $exists: false } },
+        { $set: { guildId: process.env.GUILD_ID } }
+      );
+
+      // Replaces the old global numberPlate index with the per-guild one
+      const dropped = await CarInsurance.syncIndexes();
+      return { assigned: result.modifiedCount, guildId: process.env.GUILD_ID, droppedIndexes: dropped };
+    }
+  },
+  {
+    // Delete roles became the `remove` entry of the permission matrix
+    name: '003-delete-roles-to-permissions',
+    async up() {
+      const configs = await GuildConfig.collection.find({ deleteRoleIds: { $exists: true } }).toArray();
+      let moved = 0;
+
+      for (const config of configs) {
+        const update = { $unset: { deleteRoleIds: '' } };
+        if (config.deleteRoleIds.length > 0) {
+          update.$set = { 'permissions.remove': config.deleteRoleIds };
+          moved++;
+        }
+        await GuildConfig.collection.updateOne({ _id: config._id }, update);
+      }
+
+      return { moved };
+    }
+  },
+  {
+    // Photos uploaded as attachments were stored as signed Discord CDN links, which have expired by now.
+    // The cleared links are kept in the migration record so the photos can still be traced by hand.
+    name: '004-drop-expiring-image-links',
+    async up() {
+      const filter = { imageUrl: { $regex: '^https?://(cdn\\.discordapp\\.com|media\\.discordapp\\.net)/', $options: 'i' } };
+      const cars = await CarInsurance.collection.find(filter).toArray();
+      const cleared = cars.map(car => ({ guildId: car.guildId, numberPlate: car.numberPlate, imageUrl: car.imageUrl }));
+      cleared.forEach(car => Logger.database(`Clearing expired photo link of ${car.numberPlate} (${car.guildId}): ${car.imageUrl}`, 'MIGRATION'));
+
+      await CarInsurance.collection.updateMany(
+        { _id: { $in: cars.map(car => car._id) } },
+        { $unset: { imageUrl: '' } }
+      );
+      return { cleared };
+    }
+  },
+  {
+    // API changes were recorded under an "api:<key id>" actor id, which rendered as a broken member mention;
+    // they now carry the plain key id with an actor type, as do auto-renewals
+    name: '005-event-actor-types',
+    async up() {
+      const stripPrefix = [{ $set: { actorId: { $substrCP: ['$actorId', 4, 64] }, actorType: 'api_key' } }];
+      const apiEvents = await InsuranceEvent.collection.updateMany({ actorId: { $regex: '^api:' } }, stripPrefix);
+      const apiCars = await CarInsurance.collection.updateMany(
+        { addedById: { $regex: '^api:' } },
+        [{ $set: { addedById: { $substrCP: ['$addedById', 4, 64] } } }]
+      );
+      const systemEvents = await InsuranceEvent.collection.updateMany(
+        { actorTag: 'Auto-renew (system)', actorType: { $exists: false } },
+        { $set: { actorType: 'system' } }
+      );
+      return { apiEvents: apiEvents.modifiedCount, apiCars: apiCars.modifiedCount, systemEvents: systemEvents.modifiedCount };
+    }
+  }
+];
+
+async function runMigrations() {
+  for (const migration of migrations) {
+    const applied = await Migration.findOne({ name: migration.name });
+    if (applied) continue;
+
+    Logger.database(`Running migration ${migration.name}`, 'MIGRATION');
+    const details = await migration.up();
+    await Migration.create({ name: migration.name, details });
+    Logger.database(`Migration ${migration.name} applied: ${JSON.stringify(details)}`, 'MIGRATION');
+  }
+}
+
 // Helper Functions
-function checkRoles(member) {
-  const requiredRoles = [
-    process.env.ADMIN_ROLE_ID,
-    process.env.MANAGER_ROLE_ID,
-    process.env.HIGH_COMMAND_ROLE_ID,
-    process.env.FOUNDER_ROLE_ID,
-    process.env.CO_FOUNDER_ROLE_ID
-  ];
-  return requiredRoles.some(roleId => member.roles.cache.has(roleId));
+async function getGuildConfig(guildId) {
+  const existing = await GuildConfig.findOne({ guildId });
+  if (existing) return existing;
+
+  // The original deployment was configured through env vars; seed its guild from them
+  const seed = guildId === process.env.GUILD_ID ? {
+    alertChannelId: process.env.ALERT_CHANNEL_ID,
+    privilegedRoleIds: [
+      process.env.ADMIN_ROLE_ID,
+      process.env.MANAGER_ROLE_ID,
+      process.env.HIGH_COMMAND_ROLE_ID,
+      process.env.FOUNDER_ROLE_ID,
+      process.env.CO_FOUNDER_ROLE_ID
+    ].filter(Boolean),
+    pingRoleIds: [
+      process.env.FOUNDER_ROLE_ID,
+      process.env.CO_FOUNDER_ROLE_ID,
+      process.env.HIGH_COMMAND_ROLE_ID,
+      process.env.SLAYER_ROLE_ID
+    ].filter(Boolean)
+  } : {};
+
+  const config = await GuildConfig.findOneAndUpdate(
+    { guildId },
+    { $setOnInsert: { guildId, ...seed } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  Logger.database(`Created configuration for guild ${guildId}`, 'INSERT');
+  return config;
+}
+
+function checkRoles(member, config) {
+  return config.privilegedRoleIds.some(roleId => member.roles.cache.has(roleId));
+}
+
+// Server managers can always edit the configuration so a fresh guild can be bootstrapped
+function canManageConfig(member, config) {
+  return member.permissions.has(PermissionFlagsBits.ManageGuild) || checkRoles(member, config);
 }
 
+function getPermissionRoles(config, action) {
+  if (config.permissions.has(action)) return config.permissions.get(action);
+  return DEFAULT_PERMISSIONS[action] ? DEFAULT_PERMISSIONS[action](config) : config.privilegedRoleIds;
+}
+
+// Server managers pass every check; the guild id doubles as the @everyone role id
+function hasPermission(member, config, action) {
+  if (member.permissions.has(PermissionFlagsBits.ManageGuild)) return true;
+  const roleIds = getPermissionRoles(config, action);
+  return roleIds.includes(member.guild.id) || roleIds.some(roleId => member.roles.cache.has(roleId));
+}
+
+function formatRoleMentions(roleIds) {
+  return roleIds.map(roleId => `<@&${roleId}>`).join(' ');
+}
+
+// Expiry dates are calendar days in IST; days left is the number of whole days until then
 function getDaysLeft(expiryDate) {
-  const now = moment().tz('Asia/Kolkata');
-  const expiry = moment(expiryDate).tz('Asia/Kolkata');
-  return Math.ceil(expiry.diff(now, 'days', true));
+  const today = moment().tz('Asia/Kolkata').startOf('day');
+  const expiry = moment(expiryDate).tz('Asia/Kolkata').startOf('day');
+  return expiry.diff(today, 'days');
 }
 
-function getStatusEmoji(daysLeft) {
-  if (daysLeft <= 0) return '❌ EXPIRED';
-  if (daysLeft <= 3) return '🚨 URGENT';
-  if (daysLeft <= 7) return '⚠️ WARNING';
-  return '✅ ACTIVE';
+function getExpiryDate(daysLeft) {
+  return moment().tz('Asia/Kolkata').startOf('day').add(daysLeft, 'days').toDate();
 }
 
-// Split array into chunks for pagination
-function chunkArray(array, chunkSize) {
-  const results = [];
-  while (array.length) {
-    results.push(array.splice(0, chunkSize));
+// Parses DD-MM-YYYY (also with / or .) or ISO YYYY-MM-DD as an IST calendar day; null if invalid
+function parseDateInput(value) {
+  const parsed = moment.tz(String(value).trim(), ['DD-MM-YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'YYYY-MM-DD'], true, 'Asia/Kolkata');
+  return parsed.isValid() ? parsed.startOf('day') : null;
+}
+
+// Dates further out than this are almost certainly a typo in the year
+const MAX_EXPIRY_DAYS = 3650;
+
+// Returns why a typed expiry date can't be used, or null when it is fine
+function getExpiryDateProblem(value, parsed) {
+  if (!parsed) return `**${value}** is not a valid date`;
+  if (getDaysLeft(parsed) < 0) return `**${value}** is in the past`;
+  if (getDaysLeft(parsed) > MAX_EXPIRY_DAYS) return `**${value}** is more than ${MAX_EXPIRY_DAYS / 365} years away`;
+  return null;
+}
+
+// Parses a date option, replying with the problem and returning null when it is unusable
+async function parseExpiryOption(interaction, value) {
+  const parsed = parseDateInput(value);
+  const problem = getExpiryDateProblem(value, parsed);
+  if (!problem) return parsed;
+
+  await interaction.reply({
+    embeds: [new EmbedBuilder()
+      .setTitle('❌ INVALID DATE')
+      .setColor(0xFF0000)
+      .setDescription(problem)
+      .addFields(
+        { name: 'Accepted Formats', value: 'DD-MM-YYYY, DD/MM/YYYY or YYYY-MM-DD', inline: true },
+        { name: 'Example', value: moment().tz('Asia/Kolkata').add(7, 'days').format('DD-MM-YYYY'), inline: true }
+      )
+      .setFooter({ text: 'Dates are read in Indian Standard Time' })
+    ],
+    ephemeral: true
+  });
+  return null;
+}
+
+// Reads "days left" or an expiry date typed into a modal or web form; returns { expiryDate } or { problem }
+function parseExpiryText(input) {
+  const value = String(input ?? '').trim();
+  if (/^\d+$/.test(value)) {
+    const days = Number(value);
+    // 0 means today, the earliest date an expiry date may be
+    if (days > MAX_EXPIRY_DAYS) return { problem: `Days left must be between 0 and ${MAX_EXPIRY_DAYS}` };
+    return { expiryDate: getExpiryDate(days) };
   }
-  return results;
+  const parsed = parseDateInput(value);
+  const problem = getExpiryDateProblem(value, parsed);
+  return problem ? { problem } : { expiryDate: parsed.toDate() };
 }
 
-// Function to decrease insurance days
-async function decreaseInsuranceDays() {
-  try {
-    Logger.log('Starting daily insurance day decrease process', 'info');
-    
-    // Get all active insurances
-    const cars = await CarInsurance.find();
-    Logger.log(`Found ${cars.length} car insurances to process`, 'info');
-    
-    if (cars.length === 0) {
-      Logger.log('No car insurances found to process', 'info');
-      return { processed: 0, skipped: 0 };
-    }
-    
-    let processed = 0;
-    let skipped = 0;
-    
-    // Update each insurance's expiry date (decrease by 1 day)
-    for (const car of cars) {
-      const currentExpiry = moment(car.expiryDate).tz('Asia/Kolkata');
-      const newExpiry = currentExpiry.clone().subtract(1, 'days');
-      
-      // Check if we already decreased today
-      const today = moment().tz('Asia/Kolkata').startOf('day');
-      const lastDecrease = car.lastDayDecrease ? moment(car.lastDayDecrease).tz('Asia/Kolkata').startOf('day') : null;
-      
-      if (lastDecrease && lastDecrease.isSame(today)) {
-        Logger.log(`Skipping ${car.carName} (${car.numberPlate}) - already decreased today`, 'debug');
-        skipped++;
-        continue;
-      }
-      
-      Logger.log(`Decreasing days for ${car.carName} (${car.numberPlate}): ${currentExpiry.format('DD MMM YYYY')} -> ${newExpiry.format('DD MMM YYYY')}`, 'info');
-      
-      car.expiryDate = newExpiry.toDate();
-      car.lastUpdated = new Date();
-      car.lastDayDecrease = new Date(); // Mark that we decreased today
-      await car.save();
-      
-      processed++;
-      Logger.database(`Decreased insurance: ${car.carName} (${car.numberPlate}) - New expiry: ${newExpiry.format('DD MMM YYYY')}`, 'UPDATE');
-    }
-    
-    Logger.log(`Day decrease process completed. Processed: ${processed}, Skipped: ${skipped}`, 'success');
-    return { processed, skipped };
-  } catch (err) {
-    Logger.error(`Day decrease error: ${err.message}`, 'DAY DECREASE');
-    throw err;
+// Typed-in extension or reduction ("days" or a new date) under the same rules as /add_car_insurance and
+// /less_car_insurance; returns { oldExpiry, newExpiry, dayDelta } or { problem }
+function planExpiryChange(car, mode, input) {
+  const oldExpiry = moment(car.expiryDate).tz('Asia/Kolkata');
+  const value = String(input ?? '').trim();
+
+  let newExpiry;
+  if (/^\d+$/.test(value)) {
+    const days = Number(value);
+    if (days < 1 || days > MAX_EXPIRY_DAYS) return { problem: `Days must be between 1 and ${MAX_EXPIRY_DAYS}` };
+    newExpiry = oldExpiry.clone().add(mode === 'reduce' ? -days : days, 'days');
+  } else {
+    const parsed = parseDateInput(value);
+    const problem = getExpiryDateProblem(value, parsed);
+    if (problem) return { problem };
+    newExpiry = parsed;
+  }
+
+  const dayDelta = newExpiry.diff(oldExpiry, 'days');
+  if (mode === 'extend' && dayDelta <= 0) return { problem: `**${newExpiry.format('DD MMM YYYY')}** is not after the current expiry (${oldExpiry.format('DD MMM YYYY')})` };
+  if (mode === 'reduce' && dayDelta >= 0) return { problem: `**${newExpiry.format('DD MMM YYYY')}** is not before the current expiry (${oldExpiry.format('DD MMM YYYY')})` };
+  if (mode === 'reduce' && getDaysLeft(newExpiry) < 0) return { problem: `Cannot move the expiry into the past (${newExpiry.format('DD MMM YYYY')})` };
+  if (getDaysLeft(newExpiry) > MAX_EXPIRY_DAYS) return { problem: `**${newExpiry.format('DD MMM YYYY')}** is more than ${MAX_EXPIRY_DAYS / 365} years away` };
+  return { oldExpiry, newExpiry, dayDelta };
+}
+
+// Optional amount typed into a form; "$1,200" is accepted. Returns { amount } or { problem }
+function parseAmountText(input) {
+  const value = String(input ?? '').trim();
+  if (!value) return {};
+  const amount = Number(value.replace(/[$,]/g, ''));
+  return Number.isFinite(amount) && amount >= 0 ? { amount } : { problem: `**${value}** is not a valid amount` };
+}
+
+// Commands take either a day count or a date; replies and returns false unless exactly one was given
+async function checkSingleExpiryInput(interaction, days, date, daysName, dateName) {
+  if ((days === null) !== (date === null)) return true;
+
+  await interaction.reply({
+    embeds: [new EmbedBuilder()
+      .setTitle('❌ MISSING OR CONFLICTING INPUT')
+      .setColor(0xFF0000)
+      .setDescription(`Give either \`${daysName}\` or \`${dateName}\`, not ${days === null ? 'neither' : 'both'}`)
+    ],
+    ephemeral: true
+  });
+  return false;
+}
+
+const CAR_STATUSES = ['expired', 'urgent', 'warning', 'active'];
+
+function getStatus(daysLeft, config) {
+  if (daysLeft <= 0) return 'expired';
+  if (daysLeft <= config.alertThreshold) return 'urgent';
+  if (daysLeft <= config.warningThreshold) return 'warning';
+  return 'active';
+}
+
+function getStatusEmoji(daysLeft, config) {
+  return {
+    expired: '❌ EXPIRED',
+    urgent: '🚨 URGENT',
+    warning: '⚠️ WARNING',
+    active: '✅ ACTIVE'
+  }[getStatus(daysLeft, config)];
+}
+
+// Alert messages carry one row of action buttons per car, and a message holds at most 5 rows
+const ALERT_CARS_PER_MESSAGE = 5;
+
+// Permission each alert button needs, keyed by the action code in its custom id
+const ALERT_BUTTON_ACTIONS = { x7: 'extend', xc: 'extend', sn: 'alert', ok: 'alert' };
+
+function isAlertHandled(car) {
+  return Boolean(car.handled?.expiryDate && car.handled.expiryDate.getTime() === car.expiryDate.getTime());
+}
+
+// Snoozed cars and cars marked handled for their current expiry get no reminders
+function isAlertSilenced(car) {
+  return Boolean(car.snoozedUntil && car.snoozedUntil > new Date()) || isAlertHandled(car);
+}
+
+function buildAlertActionRow(car) {
+  const handled = isAlertHandled(car);
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`alert:x7:${car.numberPlate}`)
+      .setLabel(`Extend 7d • ${car.numberPlate}`)
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`alert:xc:${car.numberPlate}`)
+      .setLabel('Extend custom…')
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`alert:sn:${car.numberPlate}`)
+      .setLabel('Snooze 1 day')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(handled),
+    new ButtonBuilder()
+      .setCustomId(`alert:ok:${car.numberPlate}`)
+      .setLabel(handled ? 'Handled' : 'Mark handled')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(handled)
+  );
+}
+
+async function extendFromAlert(car, days, user, amount) {
+  const oldExpiry = moment(car.expiryDate).tz('Asia/Kolkata');
+  car.expiryDate = oldExpiry.clone().add(days, 'days').toDate();
+  car.lastUpdated = new Date();
+  car.snoozedUntil = undefined;
+  await car.save();
+  await recordEvent('extend', car, user, { oldExpiry: oldExpiry.toDate(), newExpiry: car.expiryDate, dayDelta: days, amount });
+  Logger.database(`Insurance extended from alert: ${car.carName} (${car.numberPlate}) by ${days} days`, 'UPDATE');
+  return `Extended ${days}d${amount != null ? ` (${formatMoney(amount)})` : ''}`;
+}
+
+// Refreshes the acted-on car's field and buttons in place and notes who acted; other cars stay as sent
+async function updateAlertMessage(interaction, car, config, note) {
+  const embeds = interaction.message.embeds.map(embed => EmbedBuilder.from(embed).setFields((embed.fields || []).map(field => {
+    if (!field.name.endsWith(`(${car.numberPlate})`)) return field;
+    const actions = field.value.split('\n').filter(line => line.startsWith('🛠️')).slice(-2);
+    actions.push(`🛠️ ${note} by ${interaction.user} • ${moment().tz('Asia/Kolkata').format('DD MMM hh:mm A')}`);
+    const fresh = formatCarField(car, config);
+    return { ...fresh, value: [fresh.value, ...actions].join('\n') };
+  })));
+  const components = interaction.message.components.map(row =>
+    row.components.some(component => component.customId?.split(':')[2] === car.numberPlate) ? buildAlertActionRow(car) : row
+  );
+  await interaction.update({ embeds, components });
+}
+
+async function loadAlertCar(interaction, config, action) {
+  if (!hasPermission(interaction.member, config, ALERT_BUTTON_ACTIONS[action])) {
+    await interaction.reply({ content: '⛔ ACCESS DENIED: You lack required permissions', ephemeral: true });
+    Logger.log(`Permission denied for ${interaction.user.tag} on alert button ${action}`, 'warning');
+    return null;
+  }
+
+  const numberPlate = interaction.customId.split(':').pop();
+  const car = await CarInsurance.findOne({ guildId: interaction.guildId, numberPlate });
+  if (!car) {
+    await interaction.reply({ content: `❌ **${numberPlate}** is no longer registered`, ephemeral: true });
+    return null;
+  }
+  return car;
+}
+
+async function handleAlertButton(interaction, config) {
+  const [, action] = interaction.customId.split(':');
+  const car = await loadAlertCar(interaction, config, action);
+  if (!car) return;
+
+  if (action === 'xc') {
+    await interaction.showModal(new ModalBuilder()
+      .setCustomId(`alert_modal:xc:${car.numberPlate}`)
+      .setTitle(`Extend ${car.carName}`.slice(0, 45))
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('extend_by')
+            .setLabel('Days to add, or new expiry (DD-MM-YYYY)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder(`Expires ${moment(car.expiryDate).tz('Asia/Kolkata').format('DD-MM-YYYY')}`)
+            .setRequired(true)
+            .setMaxLength(10)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('amount')
+            .setLabel('Amount paid (optional)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false)
+            .setMaxLength(12)
+        )
+      ));
+    return;
+  }
+
+  let note;
+  if (action === 'x7') {
+    note = await extendFromAlert(car, 7, interaction.user);
+  } else if (action === 'sn') {
+    // Held back until the next daily update, which then reminds again; counting 24h from now would skip it
+    const todayRun = getJobTime(config, 'daily_update');
+    car.snoozedUntil = (todayRun.isAfter(moment()) ? todayRun : getJobTime(config, 'daily_update', moment().tz('Asia/Kolkata').add(1, 'day'))).toDate();
+    await car.save();
+    note = `Snoozed until ${moment(car.snoozedUntil).tz('Asia/Kolkata').format('DD MMM hh:mm A')}`;
+  } else {
+    car.handled = { expiryDate: car.expiryDate, by: interaction.user.tag, at: new Date() };
+    await car.save();
+    note = 'Marked handled';
+  }
+  Logger.log(`Alert action on ${car.numberPlate} by ${interaction.user.tag}: ${note}`, 'info');
+
+  await updateAlertMessage(interaction, car, config, note);
+}
+
+async function handleAlertModal(interaction, config) {
+  const car = await loadAlertCar(interaction, config, 'xc');
+  if (!car) return;
+
+  const plan = planExpiryChange(car, 'extend', interaction.fields.getTextInputValue('extend_by'));
+  const { amount, problem: amountProblem } = parseAmountText(interaction.fields.getTextInputValue('amount'));
+  const problems = [plan.problem, amountProblem].filter(Boolean);
+
+  if (problems.length > 0) {
+    await interaction.reply({ content: `❌ ${problems.join('\n')}`, ephemeral: true });
+    return;
+  }
+
+  const note = await extendFromAlert(car, plan.dayDelta, interaction.user, amount);
+  if (interaction.isFromMessage()) {
+    await updateAlertMessage(interaction, car, config, note);
+  } else {
+    await interaction.reply({ content: `✅ ${car.carName} (${car.numberPlate}): ${note}`, ephemeral: true });
   }
 }
 
-// Scheduled Task - Daily Update at 8:28 AM IST
-const dailyUpdateRule = new schedule.RecurrenceRule();
-dailyUpdateRule.hour = 8;
-dailyUpdateRule.minute = 28;
-dailyUpdateRule.tz = 'Asia/Kolkata';
+// The most specific stage the car has reached that hasn't been sent for its current expiry
+function getDueReminderStage(car, config) {
+  const daysLeft = getDaysLeft(car.expiryDate);
+  const reached = config.reminderStages
+    .filter(stage => daysLeft <= stage.days)
+    .sort((a, b) => a.days - b.days);
+  if (reached.length === 0) return null;
 
-schedule.scheduleJob(dailyUpdateRule, async () => {
+  const sameExpiry = car.reminders && car.reminders.expiryDate &&
+    car.reminders.expiryDate.getTime() === car.expiryDate.getTime();
+  const sent = sameExpiry ? car.reminders.stages : [];
+
+  return sent.includes(reached[0].days) ? null : reached[0];
+}
+
+async function markRemindersSent(car, config) {
+  const daysLeft = getDaysLeft(car.expiryDate);
+  car.reminders = {
+    expiryDate: car.expiryDate,
+    stages: config.reminderStages.filter(stage => daysLeft <= stage.days).map(stage => stage.days)
+  };
+  await car.save();
+}
+
+// A failed audit write is logged but never undoes the change it describes
+async function recordEvent(type, car, user, { oldExpiry, newExpiry, dayDelta, ownerId, changedFields, previousPlate, amount } = {}) {
   try {
-    Logger.log('Running scheduled daily insurance update at 8:28 AM IST', 'info');
-    
-    // Decrease insurance days
-    const result = await decreaseInsuranceDays();
-    
-    // Check for expiring insurances after update
-    const alertChannel = client.channels.cache.get(process.env.ALERT_CHANNEL_ID);
-    if (!alertChannel) {
-      Logger.error('Alert channel not found', 'DAILY UPDATE');
-      return;
-    }
+    await InsuranceEvent.create({
+      guildId: car.guildId,
+      numberPlate: car.numberPlate,
+      carName: car.carName,
+      type,
+      actorId: user.id,
+      actorTag: user.tag,
+      actorType: user.actorType,
+      oldExpiry,
+      newExpiry,
+      dayDelta,
+      ownerId,
+      changedFields,
+      previousPlate,
+      amount,
+      category: car.category
+    });
+    Logger.database(`Recorded ${type} event for ${car.numberPlate} by ${user.tag}`, 'AUDIT');
+  } catch (err) {
+    Logger.error(`Failed to record ${type} event for ${car.numberPlate}: ${err.message}`, 'AUDIT');
+  }
 
-    const updatedCars = await CarInsurance.find();
-    const alertList = updatedCars.filter(car => {
-      const daysLeft = getDaysLeft(car.expiryDate);
-      return daysLeft <= 3;
+  // Exact-date corrections and imported updates reach webhooks as the extension or reduction they amount to
+  const event = ['set_expiry', 'import'].includes(type) ? (dayDelta >= 0 ? 'extend' : 'reduce') : type;
+  if (WEBHOOK_EVENTS[event]) {
+    const formatDay = date => (date ? moment(date).tz('Asia/Kolkata').format('YYYY-MM-DD') : null);
+    await dispatchWebhooks(car, event, {
+      actor: { id: user.id, tag: user.tag, type: user.actorType || 'member' },
+      change: { oldExpiry: formatDay(oldExpiry), newExpiry: formatDay(newExpiry), dayDelta: dayDelta ?? null, amount: amount ?? null }
     });
+  }
+}
 
-    Logger.log(`Found ${alertList.length} cars needing attention after daily update`, 'info');
-    
-    if (alertList.length > 0) {
-      const carChunks = chunkArray([...alertList], 10);
-      
-      for (const [index, chunk] of carChunks.entries()) {
-        const embed = new EmbedBuilder()
-          .setTitle(index === 0 ? '🚨 DAILY INSURANCE UPDATE' : `🚨 DAILY UPDATE (PART ${index + 1})`)
-          .setColor(0xFF0000)
-          .setDescription(index === 0 ? `**${alertList.length} CAR${alertList.length > 1 ? 'S' : ''} NEED ATTENTION!**` : '')
-          .setFooter({ text: `Daily update at ${moment().tz('Asia/Kolkata').format('DD MMM YYYY hh:mm A')}` })
-          .setThumbnail('https://i.imgur.com/7X8CQyG.png');
-
-        chunk.forEach(car => {
-          const daysLeft = getDaysLeft(car.expiryDate);
-          embed.addFields({
-            name: `${getStatusEmoji(daysLeft)} ${car.carName.toUpperCase()} (${car.numberPlate})`,
-            value: [
-              `📅 **Expiry:** ${moment(car.expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY')}`,
-              `⏳ **Days Left:** ${daysLeft}`,
-              `👤 **Added By:** ${car.addedBy}`,
-              `🔄 **Last Updated:** ${moment(car.lastUpdated).tz('Asia/Kolkata').fromNow()}`
-            ].join('\n'),
-            inline: false
-          });
-        });
+// Queues a delivery for every webhook subscribed to the event and makes the first attempt in the background
+async function dispatchWebhooks(car, event, details = {}) {
+  try {
+    const webhooks = await Webhook.find({ guildId: car.guildId, events: event });
+    if (webhooks.length === 0) return;
 
-        const content = index === 0 ? 
-          `${[
-            `<@&${process.env.FOUNDER_ROLE_ID}>`,
-            `<@&${process.env.CO_FOUNDER_ROLE_ID}>`,
-            `<@&${process.env.HIGH_COMMAND_ROLE_ID}>`,
-            `<@&${process.env.SLAYER_ROLE_ID}>`
-          ].join(' ')}\n**DAILY UPDATE: INSURANCE STATUS**` : null;
-
-        await alertChannel.send({
-          content: content,
-          embeds: [embed]
-        });
-      }
-      Logger.log(`Sent daily update for ${alertList.length} cars in ${carChunks.length} parts`, 'success');
-    } else {
-      Logger.log('No expiring insurances found in daily update', 'info');
+    const data = { car: toApiCar(car, await getGuildConfig(car.guildId)), ...details };
+    for (const webhook of webhooks) {
+      const delivery = await queueWebhookDelivery(webhook, event, data);
+      attemptWebhookDelivery(delivery._id)
+        .catch(err => Logger.error(`Webhook ${webhook.name} delivery error: ${err.message}`, 'WEBHOOKS'));
     }
   } catch (err) {
-    Logger.error(`Daily update error: ${err.message}`, 'DAILY UPDATE');
+    Logger.error(`Failed to queue ${event} webhooks for ${car.numberPlate}: ${err.message}`, 'WEBHOOKS');
   }
-});
+}
+
+async function queueWebhookDelivery(webhook, event, data) {
+  const delivery = new WebhookDelivery({
+    guildId: webhook.guildId,
+    webhookId: webhook._id,
+    webhookName: webhook.name,
+    event,
+    status: 'pending',
+    nextAttemptAt: new Date()
+  });
+  delivery.payload = { id: delivery.id, event, guildId: webhook.guildId, occurredAt: new Date().toISOString(), ...data };
+  return delivery.save();
+}
 
-// Scheduled Task - Scan Check at 8:30 AM IST
-const scanCheckRule = new schedule.RecurrenceRule();
-scanCheckRule.hour = 8;
-scanCheckRule.minute = 30;
-scanCheckRule.tz = 'Asia/Kolkata';
+// Returns why the bot must not post to a webhook URL, or null when every address it resolves to is public
+async function getWebhookUrlProblem(url) {
+  const parsed = URL.canParse(url) ? new URL(url) : null;
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) return `**${url}** is not an http:// or https:// URL`;
 
-schedule.scheduleJob(scanCheckRule, async () => {
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
   try {
-    Logger.log('Running scheduled scan check at 8:30 AM IST', 'info');
-    
-    // Check if daily decrease happened
-    const today = moment().tz('Asia/Kolkata').startOf('day');
-    const anyCar = await CarInsurance.findOne({
-      lastDayDecrease: {
-        $gte: today.toDate(),
-        $lt: moment(today).endOf('day').toDate()
-      }
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch {
+    return `**${hostname}** could not be resolved`;
+  }
+  if (addresses.some(({ address, family }) => BLOCKED_WEBHOOK_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    return `**${hostname}** points to a private or internal address`;
+  }
+  return null;
+}
+
+// Receivers recompute this over "<timestamp>.<raw body>" and compare it with the X-Webhook-Signature header
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Claims a due delivery and posts it; failures are rescheduled with backoff. Returns null if it was not due
+async function attemptWebhookDelivery(deliveryId) {
+  const now = new Date();
+  // Claiming pushes nextAttemptAt past the request timeout so the sweep cannot send it twice
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $inc: { attempts: 1 }, $set: { nextAttemptAt: new Date(now.getTime() + 2 * WEBHOOK_TIMEOUT_MS) } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhookId);
+  if (!webhook) {
+    delivery.status = 'failed';
+    delivery.error = 'Webhook was removed';
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000).toString();
+  try {
+    // Checked again on every attempt, since the host's DNS may have changed since the webhook was added
+    const urlProblem = await getWebhookUrlProblem(webhook.url);
+    if (urlProblem) throw new Error(stripMarkdown(urlProblem));
+
+    const response = await undiciFetch(webhook.url, {
+      dispatcher: webhookAgent,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
     });
-    
-    if (!anyCar) {
-      Logger.log('Daily decrease not detected, running scan now', 'warning');
-      
-      // Get a random admin to ping
-      const guild = client.guilds.cache.get(process.env.GUILD_ID);
-      let adminToPing = '';
-      
-      if (guild) {
-        const adminRoleIds = [
-          process.env.ADMIN_ROLE_ID,
-          process.env.MANAGER_ROLE_ID,
-          process.env.HIGH_COMMAND_ROLE_ID,
-          process.env.FOUNDER_ROLE_ID,
-          process.env.CO_FOUNDER_ROLE_ID
-        ].filter(id => id);
-        
-        for (const roleId of adminRoleIds) {
-          const role = guild.roles.cache.get(roleId);
-          if (role) {
-            const members = role.members.filter(m => !m.user.bot);
-            if (members.size > 0) {
-              adminToPing = members.first().toString();
-              break;
-            }
-          }
-        }
-      }
-      
-      const alertChannel = client.channels.cache.get(process.env.ALERT_CHANNEL_ID);
-      if (alertChannel) {
-        await alertChannel.send({
-          content: `${adminToPing ? adminToPing + ' ' : ''}⚠️ **DAILY SCAN ALERT**\nDaily insurance day decrease did not run at 8:28 AM. Please run \`/scan_insurance\` manually to update insurance days.`
-        });
-        Logger.log('Sent alert about missing daily decrease', 'info');
-      }
+    delivery.responseStatus = response.status;
+    // Only the status matters; dropping the body frees the connection right away
+    await response.body?.cancel();
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    delivery.status = 'success';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+    delivery.error = undefined;
+  } catch (err) {
+    delivery.error = err.message;
+    // Test deliveries report their first attempt and are not retried
+    const delay = delivery.event === 'test' ? undefined : WEBHOOK_RETRY_MINUTES[delivery.attempts - 1];
+    if (delay === undefined) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+      Logger.error(`Webhook ${webhook.name} ${delivery.event} delivery failed after ${delivery.attempts} attempt(s): ${err.message}`, 'WEBHOOKS');
     } else {
-      Logger.log('Daily decrease already completed, no action needed', 'info');
+      delivery.nextAttemptAt = moment().add(delay, 'minutes').toDate();
+      Logger.log(`Webhook ${webhook.name} ${delivery.event} delivery failed (${err.message}), retrying in ${delay} min`, 'warning');
     }
-  } catch (err) {
-    Logger.error(`Scan check error: ${err.message}`, 'SCAN CHECK');
   }
-});
+  return delivery.save();
+}
 
-// Bot Events
-client.on('ready', () => {
-  Logger.startup(`Bot logged in as ${client.user.tag}`);
-  Logger.startup(`Serving ${client.guilds.cache.size} guild(s)`);
-  
-  client.application.commands.set(commands, process.env.GUILD_ID)
-    .then(() => Logger.log('Slash commands registered', 'success'))
-    .catch(err => Logger.error(`Command registration failed: ${err.message}`, 'COMMAND SETUP'));
-});
+// Runs every minute from the ready handler
+async function retryWebhookDeliveries() {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(50)
+    .select('_id');
+  for (const { _id } of due) await attemptWebhookDelivery(_id);
+}
 
-client.on('interactionCreate', async interaction => {
-  try {
-    if (!interaction.inGuild()) return;
-    
-    if (interaction.isAutocomplete()) {
-      const focusedValue = interaction.options.getFocused();
-      const command = interaction.commandName;
+// Split array into chunks for pagination
+function chunkArray(array, chunkSize) {
+  const results = [];
+  while (array.length) {
+    results.push(array.splice(0, chunkSize));
+  }
+  return results;
+}
+
+// Validation messages are written for Discord; the web dashboard and API show them without markdown bold
+function stripMarkdown(text) {
+  return String(text).replace(/\*\*/g, '');
+}
+
+function formatMoney(amount) {
+  return `$${Number(amount).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+}
+
+// Discord attachment links are signed and expire within a day, so only links that stay valid are stored
+const EXPIRING_IMAGE_HOSTS = ['cdn.discordapp.com', 'media.discordapp.net'];
+
+// Returns why an image URL can't be stored, or null when it is fine
+function getImageUrlProblem(url) {
+  if (!/^https?:\/\/\S+$/i.test(url) || !URL.canParse(url)) return 'Image URL must start with http:// or https://';
+  if (EXPIRING_IMAGE_HOSTS.includes(new URL(url).hostname)) return 'Discord attachment links expire; use a link from an image host instead';
+  return null;
+}
+
+// Reads the optional detail options shared by /new_car_insurance and /edit_car_insurance; only given options are returned
+function readCarDetailOptions(interaction) {
+  const details = {};
+  const problems = [];
+  const readText = (option, field) => {
+    const value = interaction.options.getString(option);
+    if (value !== null && value.trim()) details[field] = value.trim();
+  };
+
+  const category = interaction.options.getString('category');
+  if (category) details.category = category;
+  readText('garage', 'garage');
+  readText('policy_number', 'policyNumber');
+  readText('notes', 'notes');
+  const renewalCost = interaction.options.getNumber('renewal_cost');
+  if (renewalCost !== null) details.renewalCost = renewalCost;
+
+  // An upload is only re-posted by storeCarPhoto once the rest of the command checks out
+  let image = interaction.options.getAttachment('image');
+  const imageUrl = interaction.options.getString('image_url');
+  if (image && imageUrl !== null) {
+    problems.push('Give either an image upload or an image URL, not both');
+  } else if (image) {
+    if (!image.contentType?.startsWith('image/')) problems.push(`**${image.name}** is not an image`);
+  } else if (imageUrl !== null) {
+    const problem = getImageUrlProblem(imageUrl.trim());
+    if (problem) problems.push(problem);
+    else Object.assign(details, { imageUrl: imageUrl.trim(), imageMessageLink: undefined });
+  }
+  if (problems.length > 0) image = null;
+
+  return { details, problems, image };
+}
+
+// Re-posts an uploaded photo to the photo channel and stores a link to that message, since the attachment
+// link itself expires; replies and returns false when there is nowhere to post it
+async function storeCarPhoto(interaction, config, details, image) {
+  if (!image) return true;
+
+  const channelId = config.photoChannelId || config.alertChannelId;
+  const channel = channelId ? await client.channels.fetch(channelId).catch(() => null) : null;
+  const message = channel?.isTextBased()
+    ? await channel.send({ content: `📷 Vehicle photo from ${interaction.user.tag}`, files: [{ attachment: image.url, name: image.name }] })
+      .catch(err => Logger.error(`Could not post a vehicle photo in ${channelId}: ${err.message}`, 'PHOTO'))
+    : null;
+  if (!message) {
+    await replyInvalidDetails(interaction, [channelId
+      ? `Could not post the photo in <#${channelId}>; check the bot can send files there`
+      : 'Set a photo channel with `/config photo_channel` before uploading photos']);
+    return false;
+  }
+
+  Object.assign(details, { imageMessageLink: message.url, imageUrl: undefined });
+  return true;
+}
+
+// Current link to a car's photo: its image URL, or a freshly signed one from its uploaded photo message
+async function fetchCarPhotoUrl(car) {
+  if (car.imageUrl) return car.imageUrl;
+  if (!car.imageMessageLink) return null;
+  const [channelId, messageId] = car.imageMessageLink.split('/').slice(-2);
+  const channel = await client.channels.fetch(channelId).catch(() => null);
+  const message = await channel?.messages?.fetch(messageId).catch(() => null);
+  return message?.attachments.first()?.url ?? null;
+}
+
+async function replyInvalidDetails(interaction, problems) {
+  await interaction.reply({
+    embeds: [new EmbedBuilder()
+      .setTitle('❌ INVALID VEHICLE DETAILS')
+      .setColor(0xFF0000)
+      .setDescription(problems.join('\n'))
+    ],
+    ephemeral: true
+  });
+}
+
+function formatCarField(car, config) {
+  const daysLeft = getDaysLeft(car.expiryDate);
+  return {
+    name: `${getStatusEmoji(daysLeft, config)} ${car.category ? `${CAR_CATEGORIES[car.category]} ` : ''}${car.carName.toUpperCase()} (${car.numberPlate})`,
+    value: [
+      `📅 **Expiry:** ${moment(car.expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY')}`,
+      `⏳ **Days Left:** ${daysLeft}`,
+      car.ownerId ? `🔑 **Owner:** <@${car.ownerId}>` : null,
+      car.garage ? `📍 **Garage:** ${car.garage}` : null,
+      car.policyNumber ? `🧾 **Policy:** ${car.policyNumber}` : null,
+      car.renewalCost != null ? `💰 **Renewal Cost:** ${formatMoney(car.renewalCost)}` : null,
+      car.notes ? `📝 **Notes:** ${car.notes}` : null,
+      car.autoRenew?.enabled ? `♻️ **Auto-renew:** every ${car.autoRenew.days}d${car.autoRenew.cost != null ? ` (${formatMoney(car.autoRenew.cost)})` : ''}` : null,
+      car.imageUrl || car.imageMessageLink ? `🖼️ [Photo](${car.imageUrl || car.imageMessageLink})` : null,
+      car.snoozedUntil > new Date() ? `😴 **Snoozed until:** ${moment(car.snoozedUntil).tz('Asia/Kolkata').format('DD MMM hh:mm A')}` : null,
+      isAlertHandled(car) ? `✅ **Handled by:** ${car.handled.by}` : null,
+      `👤 **Added By:** ${car.addedBy}`,
+      `🔄 **Last Updated:** ${moment(car.lastUpdated).tz('Asia/Kolkata').fromNow()}`
+    ].filter(Boolean).join('\n'),
+    inline: false
+  };
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const CAR_SORT_FIELDS = {
+  expiry: 'expiryDate',
+  name: 'carName',
+  plate: 'numberPlate',
+  updated: 'lastUpdated',
+  cost: 'renewalCost'
+};
+
+// Filters shared by the list views: { status, search, ownerId, addedById, addedBy, sort, order }
+async function findCars(config, filters = {}) {
+  const query = { guildId: config.guildId };
+  const conditions = [];
+  if (filters.search) {
+    const pattern = escapeRegex(filters.search);
+    conditions.push({
+      $or: ['carName', 'numberPlate', 'garage', 'policyNumber']
+        .map(field => ({ [field]: { $regex: pattern, $options: 'i' } }))
+    });
+  }
+  if (filters.category) query.category = filters.category;
+  if (filters.ownerId) query.ownerId = filters.ownerId;
+  if (filters.addedById) {
+    // Cars registered before addedById was stored only have the tag they were added under
+    conditions.push({
+      $or: [
+        { addedById: filters.addedById },
+        ...(filters.addedBy ? [{ addedById: { $exists: false }, addedBy: filters.addedBy }] : [])
+      ]
+    });
+  }
+  if (conditions.length > 0) query.$and = conditions;
+
+  const sortField = Object.hasOwn(CAR_SORT_FIELDS, filters.sort) ? CAR_SORT_FIELDS[filters.sort] : 'expiryDate';
+  const cars = await CarInsurance.find(query)
+    .collation({ locale: 'en' })
+    .sort({ [sortField]: filters.order === 'desc' ? -1 : 1, numberPlate: 1 });
+
+  // Status depends on today's date, so it is filtered after the query
+  if (!filters.status || filters.status === 'all') return cars;
+  return cars.filter(car => getStatus(getDaysLeft(car.expiryDate), config) === filters.status);
+}
+
+// Reads the shared filter options of /list_car_insurance and /export_car_insurance
+function getCarFilterArgs(interaction) {
+  return {
+    status: interaction.options.getString('status') || 'all',
+    category: interaction.options.getString('category') || undefined,
+    search: interaction.options.getString('search') || undefined,
+    ownerId: interaction.options.getUser('owner')?.id,
+    addedById: interaction.options.getUser('added_by')?.id,
+    sort: interaction.options.getString('sort') || 'expiry',
+    order: interaction.options.getString('order') || 'asc'
+  };
+}
+
+// The member's current tag labels the added-by filter and matches cars that predate addedById
+async function resolveCarFilters(args) {
+  const addedBy = args.addedById ? (await client.users.fetch(args.addedById).catch(() => null))?.tag : undefined;
+  return { ...args, addedBy };
+}
+
+function describeCarFilters(filters) {
+  const parts = [];
+  if (filters.status && filters.status !== 'all') parts.push(`status: **${filters.status}**`);
+  if (filters.category) parts.push(`category: ${CAR_CATEGORIES[filters.category]} **${filters.category}**`);
+  if (filters.search) parts.push(`search: **${filters.search}**`);
+  if (filters.ownerId) parts.push(`owner: <@${filters.ownerId}>`);
+  if (filters.addedById) parts.push(`added by: **${filters.addedBy || filters.addedById}**`);
+  parts.push(`sorted by ${filters.sort || 'expiry'} ${filters.order === 'desc' ? '↓' : '↑'}`);
+  return parts.join(' • ');
+}
+
+// Read-only summary of the registry, grouped by status
+async function buildStatusReportEmbed(config) {
+  const cars = await CarInsurance.find({ guildId: config.guildId }).sort({ expiryDate: 1 });
+  const counts = { expired: 0, urgent: 0, warning: 0, active: 0 };
+
+  cars.forEach(car => {
+    counts[getStatus(getDaysLeft(car.expiryDate), config)]++;
+  });
+
+  const nextDue = cars.find(car => getDaysLeft(car.expiryDate) > 0);
+
+  return new EmbedBuilder()
+    .setTitle('📊 INSURANCE STATUS REPORT')
+    .setColor(counts.expired + counts.urgent > 0 ? 0xFFA500 : 0x00FF00)
+    .setDescription(`**${cars.length} vehicle${cars.length === 1 ? '' : 's'} registered**`)
+    .addFields(
+      { name: '❌ Expired', value: counts.expired.toString(), inline: true },
+      { name: '🚨 Urgent', value: counts.urgent.toString(), inline: true },
+      { name: '⚠️ Warning', value: counts.warning.toString(), inline: true },
+      { name: '✅ Active', value: counts.active.toString(), inline: true },
+      {
+        name: '⏭️ Next Expiry',
+        value: nextDue
+          ? `${nextDue.carName} (${nextDue.numberPlate}) - ${moment(nextDue.expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY')} (${getDaysLeft(nextDue.expiryDate)}d)`
+          : 'None',
+        inline: false
+      }
+    );
+}
+
+// Scheduled jobs per guild, keyed by guild id so they can be rebuilt when the run time changes
+const guildJobs = new Map();
+
+// Daily jobs run for every guild; offsetMinutes is counted from the guild's daily run time
+const JOBS = {
+  daily_update: { label: 'Daily update', offsetMinutes: 0, run: guildId => runDailyUpdate(guildId) },
+  status_report: { label: 'Status report', offsetMinutes: 2, run: guildId => runStatusReport(guildId) }
+};
+
+// A run still marked running after this long is assumed to have died with the process
+const JOB_STALE_MINUTES = 15;
+
+function getJobTime(config, jobName, day = moment().tz('Asia/Kolkata')) {
+  const [hour, minute] = config.dailyRunTime.split(':').map(Number);
+  return day.clone().startOf('day').hour(hour).minute(minute).add(JOBS[jobName].offsetMinutes, 'minutes');
+}
+
+// Used slots a run may take over: catch-up retries failed and stale ones, a manual re-run also repeats finished ones
+function getReclaimableRunFilter(trigger) {
+  const stale = { status: 'running', startedAt: { $lt: moment().subtract(JOB_STALE_MINUTES, 'minutes').toDate() } };
+  return { $or: [trigger === 'manual' ? { status: { $ne: 'running' } } : { status: 'failed' }, stale] };
+}
+
+// Claims the {guild, job, day} slot before running; scheduled runs only take a slot nobody has used,
+// catch-up and manual runs may also take over one getReclaimableRunFilter allows
+async function claimJobRun(guildId, jobName, runDate, trigger, actor) {
+  const fields = {
+    status: 'running',
+    trigger,
+    triggeredBy: actor ? actor.tag : undefined,
+    startedAt: new Date(),
+    finishedAt: null,
+    durationMs: null,
+    result: null,
+    error: null
+  };
+
+  try {
+    if (trigger === 'schedule') {
+      return await JobRun.create({ guildId, job: jobName, runDate, attempts: 1, ...fields });
+    }
+    return await JobRun.findOneAndUpdate(
+      { guildId, job: jobName, runDate, ...getReclaimableRunFilter(trigger) },
+      { $set: fields, $inc: { attempts: 1 } },
+      { new: true, upsert: true }
+    );
+  } catch (err) {
+    // The unique key turns a second claim on the same slot into a duplicate key error
+    if (err.code === 11000) return null;
+    throw err;
+  }
+}
+
+async function runJob(guildId, jobName, { trigger = 'schedule', runDate, actor } = {}) {
+  const date = runDate || moment().tz('Asia/Kolkata').format('YYYY-MM-DD');
+  const run = await claimJobRun(guildId, jobName, date, trigger, actor);
+  if (!run) {
+    Logger.log(`Skipped ${jobName} for guild ${guildId} on ${date}: already run or running`, 'info');
+    return null;
+  }
+
+  const started = Date.now();
+  try {
+    run.result = await JOBS[jobName].run(guildId);
+    run.status = 'success';
+  } catch (err) {
+    run.status = 'failed';
+    run.error = err.message;
+    Logger.error(`${JOBS[jobName].label} failed for guild ${guildId}: ${err.message}`, 'SCHEDULER');
+  }
+  run.finishedAt = new Date();
+  run.durationMs = Date.now() - started;
+  await run.save();
+  Logger.log(`${JOBS[jobName].label} for guild ${guildId} on ${date} ${run.status} in ${run.durationMs}ms (${trigger})`, run.status === 'success' ? 'success' : 'warning');
+  return run;
+}
+
+// Replays today's runs that were due while the bot was down, failed, or died mid-run. The daily update works
+// from current state, so one catch-up also covers any earlier missed days.
+async function catchUpMissedJobs(config) {
+  const now = moment().tz('Asia/Kolkata');
+  for (const jobName of Object.keys(JOBS)) {
+    if (now.isBefore(getJobTime(config, jobName, now))) continue;
+    const runDate = now.format('YYYY-MM-DD');
+    if (await JobRun.exists({ guildId: config.guildId, job: jobName, runDate, $nor: [getReclaimableRunFilter('catch_up')] })) continue;
+
+    Logger.log(`Catching up ${jobName} for guild ${config.guildId} on ${runDate}`, 'warning');
+    await runJob(config.guildId, jobName, { trigger: 'catch_up', runDate });
+  }
+}
+
+function scheduleGuildJobs(config) {
+  cancelGuildJobs(config.guildId);
+
+  guildJobs.set(config.guildId, Object.keys(JOBS).map(jobName => {
+    const time = getJobTime(config, jobName);
+    const rule = new schedule.RecurrenceRule();
+    rule.hour = time.hour();
+    rule.minute = time.minute();
+    rule.tz = 'Asia/Kolkata';
+    return schedule.scheduleJob(rule, () => runJob(config.guildId, jobName)
+      .catch(err => Logger.error(`Could not run ${jobName} for guild ${config.guildId}: ${err.message}`, 'SCHEDULER')));
+  }));
+  Logger.log(`Scheduled daily jobs for guild ${config.guildId} at ${config.dailyRunTime} IST`, 'info');
+}
+
+function cancelGuildJobs(guildId) {
+  const jobs = guildJobs.get(guildId);
+  if (jobs) {
+    jobs.forEach(job => job && job.cancel());
+    guildJobs.delete(guildId);
+  }
+}
+
+// Renews flagged cars that reached their expiry day by one period; a car left expired for a while is renewed from today,
+// so lapsed periods are neither back-filled nor recorded as spend
+async function applyAutoRenewals(config) {
+  const cars = await CarInsurance.find({
+    guildId: config.guildId,
+    'autoRenew.enabled': true,
+    expiryDate: { $lte: getExpiryDate(0) }
+  }).sort({ expiryDate: 1 });
+  if (cars.length === 0) return [];
+
+  const actor = { id: client.user.id, tag: 'Auto-renew (system)', actorType: 'system' };
+  const renewed = [];
+
+  for (const car of cars) {
+    const { days, cost } = car.autoRenew;
+    const oldExpiry = moment(car.expiryDate).tz('Asia/Kolkata');
+    const newExpiry = moment(getExpiryDate(days)).tz('Asia/Kolkata');
+    const amount = cost ?? undefined;
+
+    car.expiryDate = newExpiry.toDate();
+    car.lastUpdated = new Date();
+    await car.save();
+    await recordEvent('extend', car, actor, { oldExpiry: oldExpiry.toDate(), newExpiry: car.expiryDate, dayDelta: newExpiry.diff(oldExpiry, 'days'), amount });
+    renewed.push({ car, oldExpiry, newExpiry, amount });
+  }
+  Logger.database(`Auto-renewed ${renewed.length} cars in guild ${config.guildId}`, 'UPDATE');
+
+  const alertChannel = client.channels.cache.get(config.alertChannelId);
+  if (!alertChannel) {
+    Logger.error(`Alert channel not configured for guild ${config.guildId}, auto-renew notice not posted`, 'AUTO RENEW');
+    return renewed;
+  }
+
+  const total = renewed.reduce((sum, renewal) => sum + (renewal.amount || 0), 0);
+  const notice = new EmbedBuilder()
+    .setTitle('♻️ AUTO-RENEWED')
+    .setColor(0x00FF00)
+    .setDescription(`**${renewed.length} vehicle${renewed.length === 1 ? ' was' : 's were'} renewed automatically**` +
+      (total > 0 ? `\n💵 ${formatMoney(total)} recorded` : ''))
+    .addFields({
+      name: 'Renewals',
+      value: formatImportList(renewed.map(({ car, oldExpiry, newExpiry, amount }) =>
+        `${formatBulkChange({ car, oldExpiry, newExpiry })}${amount != null ? ` • ${formatMoney(amount)}` : ''}`
+      )),
+      inline: false
+    })
+    .setFooter({ text: 'Manage rules with /auto_renew' });
+  await alertChannel.send({ embeds: [notice] })
+    // The renewals are already saved, so a failed notice is logged rather than failing the daily update
+    .catch(err => Logger.error(`Could not post auto-renew notice for guild ${config.guildId}: ${err.message}`, 'AUTO RENEW'));
+  return renewed;
+}
+
+// Scheduled Task - Daily Update
+async function runDailyUpdate(guildId) {
+  const config = await getGuildConfig(guildId);
+  Logger.log(`Running scheduled daily insurance update for guild ${guildId} at ${config.dailyRunTime} IST`, 'info');
+
+  // Renew first so auto-renewing cars never get an expiry reminder
+  const renewed = await applyAutoRenewals(config);
+  
+  // Expiry dates are fixed, so the daily update only sends reminder stages that are due
+  const cars = await CarInsurance.find({ guildId }).sort({ expiryDate: 1 });
+  const carsByStage = new Map();
+  cars.forEach(car => {
+    if (isAlertSilenced(car)) return;
+    const stage = getDueReminderStage(car, config);
+    if (!stage) return;
+    if (!carsByStage.has(stage.days)) carsByStage.set(stage.days, { stage, cars: [] });
+    carsByStage.get(stage.days).cars.push(car);
+  });
+
+  Logger.log(`Found ${[...carsByStage.values()].reduce((sum, group) => sum + group.cars.length, 0)} cars with due reminders in daily update`, 'info');
+  
+  if (carsByStage.size === 0) {
+    Logger.log('No reminder stages due in daily update', 'info');
+    return { autoRenewed: renewed.length, reminded: 0 };
+  }
+
+  const remindedCars = [];
+  let undelivered = 0;
+
+  for (const { stage, cars: stageCars } of carsByStage.values()) {
+    const channelId = stage.channelId || config.alertChannelId;
+    const alertChannel = client.channels.cache.get(channelId);
+    if (!alertChannel) {
+      Logger.error(`Alert channel not configured for guild ${guildId} (${stage.days}-day stage)`, 'DAILY UPDATE');
+      undelivered += stageCars.length;
+      continue;
+    }
+
+    const stageTitle = stage.label ? stage.label.toUpperCase() : `${stage.days} DAYS LEFT`;
+    const carChunks = chunkArray([...stageCars], ALERT_CARS_PER_MESSAGE);
+    
+    for (const [index, chunk] of carChunks.entries()) {
+      const embed = new EmbedBuilder()
+        .setTitle(index === 0 ? `🚨 DAILY UPDATE: ${stageTitle}` : `🚨 DAILY UPDATE: ${stageTitle} (PART ${index + 1})`)
+        .setColor(stage.color)
+        .setDescription(index === 0 ? `**${stageCars.length} CAR${stageCars.length > 1 ? 'S' : ''} NEED ATTENTION!**` : '')
+        .setFooter({ text: `Daily update at ${moment().tz('Asia/Kolkata').format('DD MMM YYYY hh:mm A')}` })
+        .setThumbnail('https://i.imgur.com/7X8CQyG.png');
+
+      chunk.forEach(car => embed.addFields(formatCarField(car, config)));
+
+      const mentionRoleIds = stage.mentionRoleIds.length ? stage.mentionRoleIds : config.pingRoleIds;
+      const content = index === 0 ? 
+        `${formatRoleMentions(mentionRoleIds)}\n**DAILY UPDATE: INSURANCE STATUS**` : null;
+
+      await alertChannel.send({
+        content: content,
+        embeds: [embed],
+        components: chunk.map(buildAlertActionRow)
+      });
+    }
+
+    for (const car of stageCars) {
+      await markRemindersSent(car, config);
+      await dispatchWebhooks(car, 'alert', { stage: { days: stage.days, label: stage.label ?? null } });
+    }
+    remindedCars.push(...stageCars);
+    Logger.log(`Sent ${stage.days}-day reminder for ${stageCars.length} cars in ${carChunks.length} parts`, 'success');
+  }
+
+  const owners = await notifyOwners(config, remindedCars);
+
+  // Undelivered stages stay unsent, so a re-run after fixing the channel picks them up
+  if (undelivered > 0) {
+    throw new Error(`Alert channel not configured; ${undelivered} reminder${undelivered === 1 ? '' : 's'} not sent`);
+  }
+  return { autoRenewed: renewed.length, reminded: remindedCars.length, ownerDMs: owners.delivered, ownerFallbacks: owners.fallback };
+}
+
+// DMs each owner about their own cars; closed DMs fall back to a mention in the alert channel
+async function notifyOwners(config, cars) {
+  const carsByOwner = new Map();
+  cars.filter(car => car.ownerId).forEach(car => {
+    if (!carsByOwner.has(car.ownerId)) carsByOwner.set(car.ownerId, []);
+    carsByOwner.get(car.ownerId).push(car);
+  });
+
+  let delivered = 0;
+  let fallback = 0;
+
+  for (const [ownerId, ownerCars] of carsByOwner) {
+    const embed = new EmbedBuilder()
+      .setTitle('🔑 YOUR INSURANCE IS RUNNING OUT')
+      .setColor(0xFFA500)
+      .setDescription(`**${ownerCars.length} of your vehicle${ownerCars.length > 1 ? 's need' : ' needs'} attention**`)
+      .setFooter({ text: `Daily update at ${moment().tz('Asia/Kolkata').format('DD MMM YYYY hh:mm A')}` });
+    ownerCars.slice(0, 25).forEach(car => embed.addFields(formatCarField(car, config)));
+
+    try {
+      const owner = await client.users.fetch(ownerId);
+      await owner.send({ embeds: [embed] });
+      delivered++;
+    } catch (err) {
+      Logger.log(`Could not DM owner ${ownerId}: ${err.message}`, 'warning');
+      const alertChannel = client.channels.cache.get(config.alertChannelId);
+      if (!alertChannel) continue;
+
+      // Earlier owners' stages are already saved as sent, so one failed post must not fail the daily update
+      const posted = await alertChannel.send({
+        content: `<@${ownerId}> your DMs are closed, so here is your insurance reminder:`,
+        embeds: [embed]
+      }).catch(sendErr => Logger.error(`Could not post owner reminder for ${ownerId} in guild ${config.guildId}: ${sendErr.message}`, 'DAILY UPDATE'));
+      if (posted) fallback++;
+    }
+  }
+
+  if (carsByOwner.size > 0) {
+    Logger.log(`Owner reminders: ${delivered} sent by DM, ${fallback} posted in alert channel`, 'info');
+  }
+  return { delivered, fallback };
+}
+
+// Scheduled Task - Status Report
+async function runStatusReport(guildId) {
+  const config = await getGuildConfig(guildId);
+  Logger.log(`Running scheduled status report for guild ${guildId}`, 'info');
+
+  const alertChannel = client.channels.cache.get(config.alertChannelId);
+  if (!alertChannel) throw new Error('Alert channel not configured');
+
+  const embed = await buildStatusReportEmbed(config);
+  await alertChannel.send({ embeds: [embed.setFooter({ text: `Daily status report • ${moment().tz('Asia/Kolkata').format('DD MMM YYYY hh:mm A')}` })] });
+  Logger.log('Sent daily status report', 'info');
+  return { vehicles: await CarInsurance.countDocuments({ guildId }) };
+}
+
+// Bot Events
+client.on('ready', async () => {
+  Logger.startup(`Bot logged in as ${client.user.tag}`);
+  Logger.startup(`Serving ${client.guilds.cache.size} guild(s)`);
+  
+  // Registered globally so every guild the bot joins gets the same commands
+  client.application.commands.set(commands)
+    .then(() => Logger.log('Slash commands registered globally', 'success'))
+    .catch(err => Logger.error(`Command registration failed: ${err.message}`, 'COMMAND SETUP'));
+
+  // Clear the guild-only copies from before global registration so they don't show twice
+  if (process.env.GUILD_ID) {
+    client.application.commands.set([], process.env.GUILD_ID)
+      .catch(err => Logger.error(`Clearing legacy guild commands failed: ${err.message}`, 'COMMAND SETUP'));
+  }
+
+  for (const guild of client.guilds.cache.values()) {
+    try {
+      const config = await getGuildConfig(guild.id);
+      scheduleGuildJobs(config);
+      await catchUpMissedJobs(config);
+    } catch (err) {
+      Logger.error(`Failed to schedule jobs for guild ${guild.id}: ${err.message}`, 'SCHEDULER');
+    }
+  }
+
+  schedule.scheduleJob('* * * * *', () => retryWebhookDeliveries()
+    .catch(err => Logger.error(`Webhook retry sweep failed: ${err.message}`, 'WEBHOOKS')));
+});
+
+client.on('guildCreate', async guild => {
+  Logger.log(`Joined guild ${guild.name} (${guild.id})`, 'info');
+  try {
+    scheduleGuildJobs(await getGuildConfig(guild.id));
+  } catch (err) {
+    Logger.error(`Failed to schedule jobs for guild ${guild.id}: ${err.message}`, 'SCHEDULER');
+  }
+});
+
+client.on('guildDelete', guild => {
+  Logger.log(`Removed from guild ${guild.name} (${guild.id})`, 'info');
+  cancelGuildJobs(guild.id);
+});
+
+client.on('interactionCreate', async interaction => {
+  try {
+    // Pagers also live in DMs, so they are routed before the guild-only check
+    if ((interaction.isButton() || interaction.isStringSelectMenu()) && interaction.customId.startsWith('page:')) {
+      await handlePageInteraction(interaction);
+      return;
+    }
+
+    if (!interaction.inGuild()) return;
+    
+    if (interaction.isAutocomplete()) {
+      const focusedValue = interaction.options.getFocused();
+      const command = interaction.commandName;
       
-      if (['add_car_insurance', 'less_car_insurance', 'remove_car_insurance'].includes(command)) {
+      if (['add_car_insurance', 'less_car_insurance', 'set_expiry', 'edit_car_insurance', 'auto_renew', 'remove_car_insurance', 'history', 'assign_owner'].includes(command)) {
         try {
           const cars = await CarInsurance.find({
+            guildId: interaction.guildId,
             $or: [
               { carName: { $regex: focusedValue, $options: 'i' } },
               { numberPlate: { $regex: focusedValue, $options: 'i' } }
@@ -337,7 +1646,7 @@ client.on('interactionCreate', async interaction => {
             value: car.numberPlate
           }));
           
-          if (options.length === 0 && focusedValue) {
+          if (options.length === 0 && focusedValue && !['history', 'assign_owner', 'edit_car_insurance', 'auto_renew'].includes(command)) {
             options.push({
               name: `➕ Add New: "${focusedValue}"`,
               value: 'new_car_' + focusedValue
@@ -350,14 +1659,81 @@ client.on('interactionCreate', async interaction => {
           Logger.error(`Autocomplete error: ${err.message}`, 'AUTOCOMPLETE');
           await interaction.respond([]);
         }
+      } else if (command === 'restore_car_insurance') {
+        try {
+          const trashed = await DeletedCarInsurance.find({
+            guildId: interaction.guildId,
+            $or: [
+              { carName: { $regex: focusedValue, $options: 'i' } },
+              { numberPlate: { $regex: focusedValue, $options: 'i' } }
+            ]
+          }).sort({ deletedAt: -1 }).limit(25);
+
+          const options = trashed.map(record => ({
+            name: `${record.carName} - ${record.numberPlate} (removed ${moment(record.deletedAt).tz('Asia/Kolkata').format('DD MMM')})`,
+            value: record.numberPlate
+          }));
+
+          await interaction.respond(options);
+          Logger.database(`Autocomplete for ${command}: ${options.length} options shown`, 'QUERY');
+        } catch (err) {
+          Logger.error(`Autocomplete error: ${err.message}`, 'AUTOCOMPLETE');
+          await interaction.respond([]);
+        }
+      }
+      return;
+    }
+
+    if (interaction.isButton()) {
+      const [action] = interaction.customId.split(':');
+
+      if (['remove_confirm', 'remove_cancel'].includes(action)) {
+        const config = await getGuildConfig(interaction.guildId);
+        await handleRemoveButton(interaction, config);
+      } else if (['import_confirm', 'import_cancel'].includes(action)) {
+        const config = await getGuildConfig(interaction.guildId);
+        await handleImportButton(interaction, config);
+      } else if (['bulk_confirm', 'bulk_cancel'].includes(action)) {
+        const config = await getGuildConfig(interaction.guildId);
+        await handleBulkButton(interaction, config);
+      } else if (action === 'alert') {
+        const config = await getGuildConfig(interaction.guildId);
+        await handleAlertButton(interaction, config);
+      } else if (action === 'edit') {
+        const config = await getGuildConfig(interaction.guildId);
+        await handleEditButton(interaction, config);
       }
       return;
     }
 
+    if (interaction.isModalSubmit()) {
+      const [kind] = interaction.customId.split(':');
+      if (kind === 'alert_modal') {
+        const config = await getGuildConfig(interaction.guildId);
+        await handleAlertModal(interaction, config);
+      } else if (['new_car_modal', 'edit_modal'].includes(kind)) {
+        const config = await getGuildConfig(interaction.guildId);
+        await handleCarModal(interaction, config);
+      }
+      return;
+    }
+
+    if (interaction.isStringSelectMenu()) {
+      if (interaction.customId.startsWith('bulk_select:')) await handleBulkSelect(interaction);
+      return;
+    }
+
     if (interaction.isCommand()) {
       Logger.log(`Command received: /${interaction.commandName} from ${interaction.user.tag}`, 'info');
       
-      if (!checkRoles(interaction.member)) {
+      const config = await getGuildConfig(interaction.guildId);
+      // Commands missing from the matrix (like /my_cars) are open to every member
+      const action = COMMAND_PERMISSIONS[interaction.commandName];
+      let allowed = true;
+      if (['config', 'api_keys', 'webhooks'].includes(interaction.commandName)) allowed = canManageConfig(interaction.member, config);
+      else if (action) allowed = hasPermission(interaction.member, config, action);
+
+      if (!allowed) {
         await interaction.reply({
           content: '⛔ ACCESS DENIED: You lack required permissions',
           ephemeral: true
@@ -368,7 +1744,7 @@ client.on('interactionCreate', async interaction => {
 
       switch (interaction.commandName) {
         case 'new_car_insurance':
-          await handleNewCarInsurance(interaction);
+          await handleNewCarInsurance(interaction, config);
           break;
         case 'add_car_insurance':
           await handleAddCarInsurance(interaction);
@@ -376,27 +1752,78 @@ client.on('interactionCreate', async interaction => {
         case 'less_car_insurance':
           await handleLessCarInsurance(interaction);
           break;
+        case 'set_expiry':
+          await handleSetExpiry(interaction, config);
+          break;
+        case 'bulk_extend':
+          await handleBulkExtend(interaction, config);
+          break;
         case 'list_car_insurance':
           await handleListCarInsurance(interaction);
           break;
+        case 'export_car_insurance':
+          await handleExportCarInsurance(interaction, config);
+          break;
+        case 'insurance_report':
+          await handleInsuranceReport(interaction, config);
+          break;
         case 'alert_insurance':
-          await handleAlertInsurance(interaction);
+          await handleAlertInsurance(interaction, config);
           break;
         case 'dm_car_insurance_list':
           await handleDMCarInsuranceList(interaction);
           break;
         case 'dm_alert_car_insurance':
-          await handleDMAlertCarInsurance(interaction);
+          await handleDMAlertCarInsurance(interaction, config);
           break;
         case 'remove_car_insurance':
           await handleRemoveCarInsurance(interaction);
           break;
+        case 'import_car_insurance':
+          await handleImportCarInsurance(interaction);
+          break;
+        case 'restore_car_insurance':
+          await handleRestoreCarInsurance(interaction);
+          break;
+        case 'history':
+          await handleHistory(interaction);
+          break;
+        case 'jobs':
+          await handleJobs(interaction, config);
+          break;
+        case 'auto_renew':
+          await handleAutoRenew(interaction, config);
+          break;
+        case 'edit_car_insurance':
+          await handleEditCarInsurance(interaction, config);
+          break;
+        case 'assign_owner':
+          await handleAssignOwner(interaction);
+          break;
+        case 'my_cars':
+          await handleMyCars(interaction);
+          break;
+        case 'calendar_link':
+          await handleCalendarLink(interaction, config);
+          break;
+        case 'audit':
+          await handleAudit(interaction);
+          break;
         case 'scan_insurance':
-          await handleScanInsurance(interaction);
+          await handleScanInsurance(interaction, config);
           break;
         case 'ping':
           await handlePingCommand(interaction);
           break;
+        case 'config':
+          await handleConfig(interaction, config);
+          break;
+        case 'api_keys':
+          await handleApiKeys(interaction);
+          break;
+        case 'webhooks':
+          await handleWebhooks(interaction);
+          break;
       }
     }
   } catch (err) {
@@ -446,74 +1873,16 @@ async function handlePingCommand(interaction) {
   }
 }
 
-async function handleScanInsurance(interaction) {
+async function handleScanInsurance(interaction, config) {
   try {
     await interaction.deferReply({ ephemeral: true });
     
-    Logger.log(`Manual scan initiated by ${interaction.user.tag}`, 'info');
+    Logger.log(`Status scan requested by ${interaction.user.tag}`, 'info');
     
-    // Check if we already decreased today
-    const today = moment().tz('Asia/Kolkata').startOf('day');
-    const anyCar = await CarInsurance.findOne({
-      lastDayDecrease: {
-        $gte: today.toDate(),
-        $lt: moment(today).endOf('day').toDate()
-      }
+    const embed = await buildStatusReportEmbed(config);
+    await interaction.editReply({
+      embeds: [embed.setFooter({ text: `Read-only report • ${moment().tz('Asia/Kolkata').format('DD MMM YYYY hh:mm A')}` })]
     });
-    
-    if (anyCar) {
-      Logger.log('Scan completed - day decrease already done today', 'info');
-      await interaction.editReply({
-        embeds: [new EmbedBuilder()
-          .setTitle('✅ SCAN COMPLETED')
-          .setColor(0x00FF00)
-          .setDescription('Insurance days have already been decreased today.')
-          .addFields(
-            { name: 'Last Decrease', value: moment(anyCar.lastDayDecrease).tz('Asia/Kolkata').format('DD MMM YYYY HH:mm'), inline: true },
-            { name: 'Status', value: 'No action needed', inline: true }
-          )
-          .setFooter({ text: 'Daily decrease already completed' })
-        ]
-      });
-      return;
-    }
-    
-    Logger.log('Day decrease not done today, proceeding with manual decrease', 'info');
-    
-    // Decrease insurance days
-    const result = await decreaseInsuranceDays();
-    
-    if (result.processed > 0) {
-      Logger.log(`Manual scan completed - decreased days for ${result.processed} cars`, 'success');
-      await interaction.editReply({
-        embeds: [new EmbedBuilder()
-          .setTitle('✅ SCAN COMPLETED')
-          .setColor(0x00FF00)
-          .setDescription('Successfully decreased insurance days for all vehicles.')
-          .addFields(
-            { name: 'Cars Processed', value: result.processed.toString(), inline: true },
-            { name: 'Cars Skipped', value: result.skipped.toString(), inline: true },
-            { name: 'Status', value: 'Days decreased successfully', inline: true }
-          )
-          .setFooter({ text: 'Manual day decrease completed' })
-        ]
-      });
-    } else {
-      Logger.log('Manual scan completed - no cars needed day decrease', 'info');
-      await interaction.editReply({
-        embeds: [new EmbedBuilder()
-          .setTitle('ℹ️ SCAN COMPLETED')
-          .setColor(0x7289DA)
-          .setDescription('No insurance days needed to be decreased.')
-          .addFields(
-            { name: 'Cars Processed', value: result.processed.toString(), inline: true },
-            { name: 'Cars Skipped', value: result.skipped.toString(), inline: true },
-            { name: 'Status', value: 'No action needed', inline: true }
-          )
-          .setFooter({ text: 'Manual scan completed' })
-        ]
-      });
-    }
   } catch (err) {
     Logger.error(`Scan insurance error: ${err.message}`, 'SCAN INSURANCE');
     await interaction.editReply({
@@ -528,37 +1897,95 @@ async function handleScanInsurance(interaction) {
   }
 }
 
-async function handleNewCarInsurance(interaction) {
+async function handleNewCarInsurance(interaction, config) {
   const carName = interaction.options.getString('car_name');
   const numberPlate = interaction.options.getString('number_plate');
-  const daysLeft = interaction.options.getInteger('days_left');
+  const daysOption = interaction.options.getInteger('days_left');
+  const dateOption = interaction.options.getString('expiry_date');
+  const owner = interaction.options.getUser('owner');
+  const amount = interaction.options.getNumber('amount');
 
   try {
-    if (!/^[A-Z0-9-]{2,15}$/i.test(numberPlate)) {
-      await interaction.reply({
-        embeds: [new EmbedBuilder()
-          .setTitle('❌ INVALID NUMBER PLATE')
-          .setColor(0xFF0000)
-          .setDescription('Please use 2-15 alphanumeric characters (hyphens allowed)')
-          .addFields(
-            { name: 'Your Input', value: numberPlate, inline: true },
-            { name: 'Example', value: 'MH01-AB-1234', inline: true }
-          )
-        ],
-        ephemeral: true
+    const { details, problems, image } = readCarDetailOptions(interaction);
+    if (problems.length > 0) {
+      await replyInvalidDetails(interaction, problems);
+      return;
+    }
+
+    // Anything left out is asked for in a registration modal; the other options wait in a pending action
+    if (carName === null || numberPlate === null || (daysOption === null && dateOption === null)) {
+      const pending = await PendingAction.create({
+        guildId: interaction.guildId,
+        userId: interaction.user.id,
+        type: 'new_car',
+        payload: { ownerId: owner?.id, details, amount: amount ?? undefined, image: image ? { url: image.url, name: image.name } : undefined },
+        expiresAt: moment().add(15, 'minutes').toDate()
       });
+
+      await interaction.showModal(new ModalBuilder()
+        .setCustomId(`new_car_modal:${pending.id}`)
+        .setTitle('Register Vehicle')
+        .addComponents(
+          buildTextInput('car_name', 'Car name', { value: carName, required: true, maxLength: 100, placeholder: 'Toyota Camry' }),
+          buildTextInput('number_plate', 'Number plate', { value: numberPlate, required: true, maxLength: 15, placeholder: 'MH01-AB-1234' }),
+          buildTextInput('expiry', 'Days left, or expiry date (DD-MM-YYYY)', { value: dateOption ?? daysOption, required: true, maxLength: 10 }),
+          buildTextInput('category', 'Category (car, bike, heli or boat)', { value: details.category, maxLength: 10 }),
+          buildTextInput('notes', 'Notes', { value: details.notes, maxLength: 500, style: TextInputStyle.Paragraph })
+        ));
       return;
     }
 
-    const expiryDate = moment().tz('Asia/Kolkata').add(daysLeft, 'days').toDate();
+    if (!await checkSingleExpiryInput(interaction, daysOption, dateOption, 'days_left', 'expiry_date')) return;
+
+    let expiryDate = getExpiryDate(daysOption);
+    if (dateOption !== null) {
+      const parsed = await parseExpiryOption(interaction, dateOption);
+      if (!parsed) return;
+      expiryDate = parsed.toDate();
+    }
+
+    await registerCar(interaction, config, { carName, numberPlate, expiryDate, ownerId: owner?.id, details, amount: amount ?? undefined, image });
+  } catch (err) {
+    Logger.error(`New car insurance error: ${err.message}`, 'NEW INSURANCE');
+    throw err;
+  }
+}
+
+// Shared by /new_car_insurance and its registration modal
+async function registerCar(interaction, config, { carName, numberPlate, expiryDate, ownerId, details = {}, amount, image }) {
+  if (!PLATE_PATTERN.test(numberPlate)) {
+    await interaction.reply({
+      embeds: [new EmbedBuilder()
+        .setTitle('❌ INVALID NUMBER PLATE')
+        .setColor(0xFF0000)
+        .setDescription('Please use 2-15 alphanumeric characters (hyphens allowed)')
+        .addFields(
+          { name: 'Your Input', value: numberPlate, inline: true },
+          { name: 'Example', value: 'MH01-AB-1234', inline: true }
+        )
+      ],
+      ephemeral: true
+    });
+    return;
+  }
+
+  if (!await storeCarPhoto(interaction, config, details, image)) return;
+  const daysLeft = getDaysLeft(expiryDate);
+
+  try {
     const newInsurance = new CarInsurance({
+      guildId: interaction.guildId,
       carName,
       numberPlate,
       expiryDate,
-      addedBy: interaction.user.tag
+      addedBy: interaction.user.tag,
+      addedById: interaction.user.id,
+      ownerId,
+      ...details
     });
 
     await newInsurance.save();
+    await recordEvent('create', newInsurance, interaction.user, { newExpiry: expiryDate, dayDelta: daysLeft, amount });
     Logger.database(`New insurance added: ${carName} (${numberPlate}) by ${interaction.user.tag}`, 'INSERT');
     
     await interaction.reply({
@@ -571,8 +1998,18 @@ async function handleNewCarInsurance(interaction) {
           { name: '🔢 Number Plate', value: numberPlate, inline: true },
           { name: '📅 Expiry Date', value: moment(expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY'), inline: true },
           { name: '⏳ Days Valid', value: daysLeft.toString(), inline: true },
+          { name: '🔑 Owner', value: ownerId ? `<@${ownerId}>` : 'None', inline: true },
           { name: '👤 Registered By', value: interaction.user.tag, inline: true }
         )
+        .addFields([
+          details.category ? { name: '🏷️ Category', value: `${CAR_CATEGORIES[details.category]} ${details.category}`, inline: true } : null,
+          details.garage ? { name: '📍 Garage', value: details.garage, inline: true } : null,
+          details.policyNumber ? { name: '🧾 Policy', value: details.policyNumber, inline: true } : null,
+          details.renewalCost != null ? { name: '💰 Renewal Cost', value: formatMoney(details.renewalCost), inline: true } : null,
+          amount != null ? { name: '💵 Amount Paid', value: formatMoney(amount), inline: true } : null,
+          details.notes ? { name: '📝 Notes', value: details.notes, inline: false } : null
+        ].filter(Boolean))
+        .setImage(await fetchCarPhotoUrl(details))
         .setFooter({ text: 'Insurance successfully added to database' })
       ]
     });
@@ -592,7 +2029,6 @@ async function handleNewCarInsurance(interaction) {
       });
       Logger.database(`Duplicate entry attempt: ${numberPlate} by ${interaction.user.tag}`, 'DUPLICATE');
     } else {
-      Logger.error(`New car insurance error: ${err.message}`, 'NEW INSURANCE');
       throw err;
     }
   }
@@ -600,7 +2036,9 @@ async function handleNewCarInsurance(interaction) {
 
 async function handleAddCarInsurance(interaction) {
   const numberPlate = interaction.options.getString('number_plate');
-  const daysToAdd = interaction.options.getInteger('days_to_add');
+  const daysOption = interaction.options.getInteger('days_to_add');
+  const dateOption = interaction.options.getString('new_expiry');
+  const amount = interaction.options.getNumber('amount');
   
   if (numberPlate.startsWith('new_car_')) {
     const newPlate = numberPlate.replace('new_car_', '');
@@ -617,7 +2055,9 @@ async function handleAddCarInsurance(interaction) {
   }
 
   try {
-    const car = await CarInsurance.findOne({ numberPlate });
+    if (!await checkSingleExpiryInput(interaction, daysOption, dateOption, 'days_to_add', 'new_expiry')) return;
+
+    const car = await CarInsurance.findOne({ guildId: interaction.guildId, numberPlate });
     if (!car) {
       await interaction.reply({
         embeds: [new EmbedBuilder()
@@ -631,13 +2071,46 @@ async function handleAddCarInsurance(interaction) {
       return;
     }
 
-    const oldExpiry = moment(car.expiryDate);
-    const newExpiry = oldExpiry.add(daysToAdd, 'days');
+    const oldExpiry = moment(car.expiryDate).tz('Asia/Kolkata');
+    let newExpiry = oldExpiry.clone().add(daysOption, 'days');
+    if (dateOption !== null) {
+      newExpiry = await parseExpiryOption(interaction, dateOption);
+      if (!newExpiry) return;
+    }
+    const daysToAdd = newExpiry.diff(oldExpiry, 'days');
     const daysLeft = getDaysLeft(newExpiry);
+
+    if (daysToAdd <= 0) {
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('❌ INVALID EXTENSION')
+          .setColor(0xFF0000)
+          .setDescription(`**${newExpiry.format('DD MMM YYYY')}** is not after the current expiry`)
+          .addFields({ name: 'Current Expiry', value: oldExpiry.format('DD MMM YYYY'), inline: true })
+          .setFooter({ text: 'Use /less_car_insurance or /set_expiry to move it earlier' })
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (daysLeft > MAX_EXPIRY_DAYS) {
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('❌ INVALID EXTENSION')
+          .setColor(0xFF0000)
+          .setDescription(`Cannot add ${daysToAdd} days: **${newExpiry.format('DD MMM YYYY')}** is more than ${MAX_EXPIRY_DAYS / 365} years away`)
+          .addFields({ name: 'Current Expiry', value: oldExpiry.format('DD MMM YYYY'), inline: true })
+        ],
+        ephemeral: true
+      });
+      return;
+    }
     
     car.expiryDate = newExpiry.toDate();
     car.lastUpdated = new Date();
     await car.save();
+    await recordEvent('extend', car, interaction.user, { oldExpiry: oldExpiry.toDate(), newExpiry: car.expiryDate, dayDelta: daysToAdd, amount: amount ?? undefined });
     Logger.database(`Insurance extended: ${car.carName} (${numberPlate}) by ${daysToAdd} days`, 'UPDATE');
 
     await interaction.reply({
@@ -654,6 +2127,7 @@ async function handleAddCarInsurance(interaction) {
           { name: '⏳ Total Days Left', value: daysLeft.toString(), inline: true },
           { name: '👤 Updated By', value: interaction.user.tag, inline: true }
         )
+        .addFields(amount !== null ? [{ name: '💵 Amount Paid', value: formatMoney(amount), inline: true }] : [])
         .setFooter({ text: `Insurance validity extended successfully` })
       ]
     });
@@ -665,7 +2139,8 @@ async function handleAddCarInsurance(interaction) {
 
 async function handleLessCarInsurance(interaction) {
   const numberPlate = interaction.options.getString('number_plate');
-  const daysToSubtract = interaction.options.getInteger('days_to_subtract');
+  const daysOption = interaction.options.getInteger('days_to_subtract');
+  const dateOption = interaction.options.getString('new_expiry');
   
   if (numberPlate.startsWith('new_car_')) {
     const newPlate = numberPlate.replace('new_car_', '');
@@ -681,7 +2156,9 @@ async function handleLessCarInsurance(interaction) {
   }
 
   try {
-    const car = await CarInsurance.findOne({ numberPlate });
+    if (!await checkSingleExpiryInput(interaction, daysOption, dateOption, 'days_to_subtract', 'new_expiry')) return;
+
+    const car = await CarInsurance.findOne({ guildId: interaction.guildId, numberPlate });
     if (!car) {
       await interaction.reply({
         embeds: [new EmbedBuilder()
@@ -694,9 +2171,28 @@ async function handleLessCarInsurance(interaction) {
       return;
     }
 
-    const oldExpiry = moment(car.expiryDate);
-    const newExpiry = oldExpiry.clone().subtract(daysToSubtract, 'days');
+    const oldExpiry = moment(car.expiryDate).tz('Asia/Kolkata');
+    let newExpiry = oldExpiry.clone().subtract(daysOption, 'days');
+    if (dateOption !== null) {
+      newExpiry = await parseExpiryOption(interaction, dateOption);
+      if (!newExpiry) return;
+    }
+    const daysToSubtract = oldExpiry.diff(newExpiry, 'days');
     const daysLeft = getDaysLeft(newExpiry);
+
+    if (daysToSubtract <= 0) {
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('❌ INVALID ADJUSTMENT')
+          .setColor(0xFF0000)
+          .setDescription(`**${newExpiry.format('DD MMM YYYY')}** is not before the current expiry`)
+          .addFields({ name: 'Current Expiry', value: oldExpiry.format('DD MMM YYYY'), inline: true })
+          .setFooter({ text: 'Use /add_car_insurance or /set_expiry to move it later' })
+        ],
+        ephemeral: true
+      });
+      return;
+    }
     
     if (daysLeft < 0) {
       await interaction.reply({
@@ -718,6 +2214,7 @@ async function handleLessCarInsurance(interaction) {
     car.expiryDate = newExpiry.toDate();
     car.lastUpdated = new Date();
     await car.save();
+    await recordEvent('reduce', car, interaction.user, { oldExpiry: oldExpiry.toDate(), newExpiry: car.expiryDate, dayDelta: -daysToSubtract });
     Logger.database(`Insurance reduced: ${car.carName} (${numberPlate}) by ${daysToSubtract} days`, 'UPDATE');
 
     await interaction.reply({
@@ -743,11 +2240,95 @@ async function handleLessCarInsurance(interaction) {
   }
 }
 
+async function handleSetExpiry(interaction, config) {
+  const numberPlate = interaction.options.getString('number_plate');
+  const dateOption = interaction.options.getString('expiry_date');
+  const amount = interaction.options.getNumber('amount');
+
+  if (numberPlate.startsWith('new_car_')) {
+    const newPlate = numberPlate.replace('new_car_', '');
+    await interaction.reply({
+      embeds: [new EmbedBuilder()
+        .setTitle('🚫 CAR NOT FOUND')
+        .setColor(0xFFA500)
+        .setDescription(`Use \`/new_car_insurance\` to register:\n**${newPlate}**`)
+      ],
+      ephemeral: true
+    });
+    return;
+  }
+
+  try {
+    const newExpiry = await parseExpiryOption(interaction, dateOption);
+    if (!newExpiry) return;
+
+    const car = await CarInsurance.findOne({ guildId: interaction.guildId, numberPlate });
+    if (!car) {
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('❌ RECORD NOT FOUND')
+          .setColor(0xFF0000)
+          .setDescription(`No insurance found for:\n**${numberPlate}**`)
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    const oldExpiry = moment(car.expiryDate).tz('Asia/Kolkata');
+    const dayDelta = newExpiry.diff(oldExpiry, 'days');
+
+    if (dayDelta === 0) {
+      await interaction.reply({
+        content: `ℹ️ **${car.carName}** (${numberPlate}) already expires on ${oldExpiry.format('DD MMM YYYY')}`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    // Moving the date earlier is a reduction and needs that permission too
+    if (dayDelta < 0 && !hasPermission(interaction.member, config, 'reduce')) {
+      await interaction.reply({ content: '⛔ ACCESS DENIED: Moving an expiry earlier requires the reduce permission', ephemeral: true });
+      Logger.log(`Permission denied for ${interaction.user.tag} on /set_expiry (earlier date)`, 'warning');
+      return;
+    }
+
+    car.expiryDate = newExpiry.toDate();
+    car.lastUpdated = new Date();
+    await car.save();
+    await recordEvent('set_expiry', car, interaction.user, { oldExpiry: oldExpiry.toDate(), newExpiry: car.expiryDate, dayDelta, amount: amount ?? undefined });
+    Logger.database(`Insurance expiry set: ${car.carName} (${numberPlate}) to ${newExpiry.format('YYYY-MM-DD')}`, 'UPDATE');
+
+    await interaction.reply({
+      embeds: [new EmbedBuilder()
+        .setTitle('📅 EXPIRY DATE SET')
+        .setColor(dayDelta > 0 ? 0x00FF00 : 0xFFA500)
+        .addFields(
+          { name: '🚗 Car Name', value: car.carName, inline: true },
+          { name: '🔢 Number Plate', value: numberPlate, inline: true },
+          { name: '📅 Old Expiry', value: oldExpiry.format('DD MMM YYYY'), inline: true },
+          { name: '📅 New Expiry', value: newExpiry.format('DD MMM YYYY'), inline: true },
+          { name: '⏳ Change', value: `${dayDelta > 0 ? '+' : ''}${dayDelta} days`, inline: true },
+          { name: '⏳ Total Days Left', value: getDaysLeft(newExpiry).toString(), inline: true },
+          { name: '👤 Updated By', value: interaction.user.tag, inline: true }
+        )
+        .addFields(amount !== null ? [{ name: '💵 Amount Paid', value: formatMoney(amount), inline: true }] : [])
+        .setFooter({ text: 'Insurance expiry corrected' })
+      ]
+    });
+  } catch (err) {
+    Logger.error(`Set expiry error: ${err.message}`, 'SET EXPIRY');
+    throw err;
+  }
+}
+
 async function handleListCarInsurance(interaction) {
+  const args = getCarFilterArgs(interaction);
+
   try {
-    const cars = await CarInsurance.find().sort({ expiryDate: 1 });
+    const total = await CarInsurance.countDocuments({ guildId: interaction.guildId });
     
-    if (cars.length === 0) {
+    if (total === 0) {
       await interaction.reply({
         embeds: [new EmbedBuilder()
           .setTitle('📭 NO INSURANCES FOUND')
@@ -760,103 +2341,285 @@ async function handleListCarInsurance(interaction) {
       return;
     }
 
-    const carChunks = chunkArray([...cars], 10);
-    const embeds = [];
+    const { itemCount } = await replyWithView(interaction, 'list', args);
+    Logger.log(`Insurance list viewed by ${interaction.user.tag} (${itemCount} of ${total} entries)`, 'info');
+  } catch (err) {
+    Logger.error(`List insurance error: ${err.message}`, 'LIST INSURANCE');
+    throw err;
+  }
+}
+
+const EXPORT_COLUMNS = [
+  { key: 'carName', label: 'Car Name' },
+  { key: 'numberPlate', label: 'Number Plate' },
+  { key: 'expiryDate', label: 'Expiry Date' },
+  { key: 'daysLeft', label: 'Days Left' },
+  { key: 'status', label: 'Status' },
+  { key: 'ownerId', label: 'Owner ID' },
+  { key: 'addedBy', label: 'Added By' },
+  { key: 'category', label: 'Category' },
+  { key: 'garage', label: 'Garage' },
+  { key: 'policyNumber', label: 'Policy Number' },
+  { key: 'renewalCost', label: 'Renewal Cost' },
+  { key: 'notes', label: 'Notes' },
+  { key: 'imageUrl', label: 'Image URL' },
+  { key: 'autoRenewDays', label: 'Auto-Renew Days' },
+  { key: 'autoRenewCost', label: 'Auto-Renew Cost' },
+  { key: 'lastUpdated', label: 'Last Updated' }
+];
 
-    for (const [index, chunk] of carChunks.entries()) {
-      const embed = new EmbedBuilder()
-        .setTitle(index === 0 ? '📋 INSURANCE REGISTRY' : `📋 INSURANCE REGISTRY (PART ${index + 1})`)
-        .setColor(0x1E90FF)
-        .setThumbnail(index === 0 ? 'https://i.imgur.com.JQ6Y5zD.png' : null)
-        .setFooter({ 
-          text: index === 0 ? `Total Vehicles: ${cars.length} • ${moment().tz('Asia/Kolkata').format('DD MMM YYYY hh:mm A')}` : `Part ${index + 1} of ${carChunks.length}`,
-          iconURL: index === 0 ? 'https://i.imgur.com/7X8CQyG.png' : null
-        });
+function toExportRecord(car, config) {
+  const daysLeft = getDaysLeft(car.expiryDate);
+  return {
+    carName: car.carName,
+    numberPlate: car.numberPlate,
+    expiryDate: moment(car.expiryDate).tz('Asia/Kolkata').format('YYYY-MM-DD'),
+    daysLeft,
+    status: getStatus(daysLeft, config),
+    ownerId: car.ownerId || '',
+    addedBy: car.addedBy,
+    category: car.category || '',
+    garage: car.garage || '',
+    policyNumber: car.policyNumber || '',
+    renewalCost: car.renewalCost ?? '',
+    notes: car.notes || '',
+    imageUrl: car.imageUrl || car.imageMessageLink || '',
+    autoRenewDays: car.autoRenew?.enabled ? car.autoRenew.days : '',
+    autoRenewCost: car.autoRenew?.enabled ? car.autoRenew.cost ?? '' : '',
+    lastUpdated: moment(car.lastUpdated).tz('Asia/Kolkata').format()
+  };
+}
 
-      chunk.forEach(car => {
-        const daysLeft = getDaysLeft(car.expiryDate);
-        embed.addFields({
-          name: `${getStatusEmoji(daysLeft)} ${car.carName.toUpperCase()} (${car.numberPlate})`,
-          value: [
-            `📅 **Expiry:** ${moment(car.expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY')}`,
-            `⏳ **Days Left:** ${daysLeft}`,
-            `👤 **Added By:** ${car.addedBy}`,
-            `🔄 **Last Updated:** ${moment(car.lastUpdated).tz('Asia/Kolkata').fromNow()}`
-          ].join('\n'),
-          inline: false
-        });
-      });
-      embeds.push(embed);
+function toCsv(records) {
+  const escape = value => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    EXPORT_COLUMNS.map(column => escape(column.label)).join(','),
+    ...records.map(record => EXPORT_COLUMNS.map(column => escape(record[column.key])).join(','))
+  ].join('\r\n') + '\r\n';
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function toHtmlReport(records, { guildName, filterSummary, generatedAt }) {
+  const counts = CAR_STATUSES.map(status => `<span class="chip ${status}">${status}: ${records.filter(record => record.status === status).length}</span>`).join('');
+  const rows = records.map(record => `
+      <tr class="${record.status}">
+        <td>${escapeHtml(record.carName)}</td>
+        <td class="mono">${escapeHtml(record.numberPlate)}</td>
+        <td>${escapeHtml(moment.tz(record.expiryDate, 'Asia/Kolkata').format('DD MMM YYYY'))}</td>
+        <td class="num">${record.daysLeft}</td>
+        <td><span class="chip ${record.status}">${record.status}</span></td>
+        <td>${escapeHtml(record.ownerName || record.ownerId)}</td>
+        <td>${escapeHtml(record.addedBy)}</td>
+        <td>${escapeHtml(record.notes)}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Insurance Registry - ${escapeHtml(guildName)}</title>
+  <style>
+    body { font-family: "Segoe UI", Arial, sans-serif; margin: 32px; color: #1f2329; }
+    h1 { margin: 0 0 4px; font-size: 22px; }
+    .meta { color: #5c6370; font-size: 13px; margin-bottom: 16px; }
+    .summary { margin-bottom: 16px; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { border-bottom: 1px solid #dde1e6; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f3f5f7; text-transform: uppercase; font-size: 11px; letter-spacing: 0.04em; }
+    .mono { font-family: Consolas, monospace; }
+    .num { text-align: right; }
+    .chip { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 11px; margin-right: 6px; text-transform: uppercase; }
+    .chip.expired { background: #fde2e1; color: #a3211b; }
+    .chip.urgent { background: #ffe8d6; color: #b34700; }
+    .chip.warning { background: #fff4c2; color: #7a5d00; }
+    .chip.active { background: #dff5e3; color: #1d6b2f; }
+    tr.expired td { background: #fff7f7; }
+    @media print {
+      body { margin: 12mm; }
+      tr { page-break-inside: avoid; }
+      th { background: #eee !important; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+      .chip { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
     }
+  </style>
+</head>
+<body>
+  <h1>Insurance Registry - ${escapeHtml(guildName)}</h1>
+  <div class="meta">Generated ${escapeHtml(generatedAt)} IST • ${records.length} vehicle${records.length === 1 ? '' : 's'} • ${escapeHtml(filterSummary)}</div>
+  <div class="summary">${counts}</div>
+  <table>
+    <thead>
+      <tr><th>Car</th><th>Plate</th><th>Expiry</th><th>Days Left</th><th>Status</th><th>Owner</th><th>Added By</th><th>Notes</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
 
-    if (embeds.length === 1) {
-      await interaction.reply({ 
-        embeds: embeds,
-        ephemeral: true
-      });
-    } else {
-      await interaction.reply({ 
-        embeds: [embeds[0]],
-        ephemeral: true,
-        components: [
-          new ActionRowBuilder().addComponents(
-            new ButtonBuilder()
-              .setCustomId('insurance_list_next')
-              .setLabel('Next Page')
-              .setStyle(ButtonStyle.Primary)
-          )
-        ]
-      });
+async function handleExportCarInsurance(interaction, config) {
+  const format = interaction.options.getString('format');
+  const args = getCarFilterArgs(interaction);
 
-      const filter = i => i.user.id === interaction.user.id && i.customId === 'insurance_list_next';
-      const collector = interaction.channel.createMessageComponentCollector({ filter, time: 60000 });
-
-      let currentPage = 0;
-      collector.on('collect', async i => {
-        currentPage++;
-        if (currentPage >= embeds.length) currentPage = 0;
-        
-        await i.update({
-          embeds: [embeds[currentPage]],
-          components: [
-            new ActionRowBuilder().addComponents(
-              new ButtonBuilder()
-                .setCustomId('insurance_list_prev')
-                .setLabel('Previous Page')
-                .setStyle(ButtonStyle.Secondary),
-              new ButtonBuilder()
-                .setCustomId('insurance_list_next')
-                .setLabel('Next Page')
-                .setStyle(ButtonStyle.Primary)
-            )
-          ]
-        });
+  try {
+    await interaction.deferReply({ ephemeral: true });
+
+    const filters = await resolveCarFilters(args);
+    const cars = await findCars(config, filters);
+    const records = cars.map(car => toExportRecord(car, config));
+    const generatedAt = moment().tz('Asia/Kolkata');
+    const fileName = `insurance-${generatedAt.format('YYYY-MM-DD')}.${format}`;
+
+    let content;
+    if (format === 'csv') {
+      content = toCsv(records);
+    } else if (format === 'json') {
+      content = JSON.stringify({
+        guildId: interaction.guildId,
+        generatedAt: generatedAt.format(),
+        filters: args,
+        count: records.length,
+        cars: records
+      }, null, 2);
+    } else {
+      // Owner names read better than ids on paper
+      for (const record of records.filter(r => r.ownerId)) {
+        const member = await interaction.guild.members.fetch(record.ownerId).catch(() => null);
+        if (member) record.ownerName = member.displayName;
+      }
+      content = toHtmlReport(records, {
+        guildName: interaction.guild.name,
+        filterSummary: describeCarFilters(filters).replace(/\*\*/g, '').replace(/<@(\d+)>/g, '$1'),
+        generatedAt: generatedAt.format('DD MMM YYYY hh:mm A')
       });
     }
 
-    Logger.log(`Insurance list viewed by ${interaction.user.tag} (${cars.length} entries)`, 'info');
+    await interaction.editReply({
+      embeds: [new EmbedBuilder()
+        .setTitle('📤 REGISTRY EXPORT')
+        .setColor(0x1E90FF)
+        .setDescription(`${records.length} vehicle${records.length === 1 ? '' : 's'} exported as **${format.toUpperCase()}**\n${describeCarFilters(filters)}`)
+        .setFooter({ text: `Generated ${generatedAt.format('DD MMM YYYY hh:mm A')}` })
+      ],
+      files: [new AttachmentBuilder(Buffer.from(content, 'utf8'), { name: fileName })]
+    });
+    Logger.log(`Registry exported as ${format} by ${interaction.user.tag} (${records.length} entries)`, 'info');
+  } catch (err) {
+    Logger.error(`Export insurance error: ${err.message}`, 'EXPORT INSURANCE');
+    throw err;
+  }
+}
+
+// Reporting windows for /insurance_report, in IST
+const REPORT_PERIODS = {
+  this_month: { label: 'This month', range: now => [now.clone().startOf('month'), null] },
+  last_month: { label: 'Last month', range: now => [now.clone().subtract(1, 'month').startOf('month'), now.clone().startOf('month')] },
+  last_30_days: { label: 'Last 30 days', range: now => [now.clone().startOf('day').subtract(30, 'days'), null] },
+  this_year: { label: 'This year', range: now => [now.clone().startOf('year'), null] },
+  all_time: { label: 'All time', range: () => [null, null] }
+};
+
+// How far ahead /insurance_report projects renewal costs
+const PROJECTION_DAYS = 30;
+
+function formatSpendLines(groups, formatKey) {
+  if (groups.length === 0) return 'None';
+  return formatImportList(groups.map(group =>
+    `${formatKey(group._id, group)}: **${formatMoney(group.total)}** (${group.count} payment${group.count === 1 ? '' : 's'})`
+  ));
+}
+
+async function handleInsuranceReport(interaction, config) {
+  const periodKey = interaction.options.getString('period') || 'this_month';
+  const period = REPORT_PERIODS[periodKey];
+
+  try {
+    await interaction.deferReply({ ephemeral: true });
+
+    const [start, end] = period.range(moment().tz('Asia/Kolkata'));
+    const match = { guildId: interaction.guildId, amount: { $gt: 0 } };
+    if (start || end) match.createdAt = {};
+    if (start) match.createdAt.$gte = start.toDate();
+    if (end) match.createdAt.$lt = end.toDate();
+
+    const groupBy = field => InsuranceEvent.aggregate([
+      { $match: match },
+      { $sort: { createdAt: 1 } },
+      { $group: { _id: field, total: { $sum: '$amount' }, count: { $sum: 1 }, lastTag: { $last: '$actorTag' } } },
+      { $sort: { total: -1 } }
+    ]);
+    const [[overall], byCategory, byMember] = await Promise.all([groupBy(null), groupBy('$category'), groupBy({ id: '$actorId', type: '$actorType' })]);
+
+    // Cars already expired are due now, so they count toward the projection too
+    const dueCars = (await CarInsurance.find({ guildId: interaction.guildId }))
+      .filter(car => getDaysLeft(car.expiryDate) <= PROJECTION_DAYS);
+    const pricedCars = dueCars.filter(car => car.renewalCost != null);
+    const projected = pricedCars.reduce((sum, car) => sum + car.renewalCost, 0);
+
+    const embed = new EmbedBuilder()
+      .setTitle('💰 INSURANCE SPEND REPORT')
+      .setColor(0xF1C40F)
+      .setDescription(`**${period.label}**${start ? ` • since ${start.format('DD MMM YYYY')}` : ''}${end ? ` until ${end.clone().subtract(1, 'day').format('DD MMM YYYY')}` : ''}`)
+      .addFields(
+        { name: '💵 Total Spend', value: formatMoney(overall?.total || 0), inline: true },
+        { name: '🧾 Payments', value: (overall?.count || 0).toString(), inline: true },
+        { name: '📊 Average', value: overall ? formatMoney(overall.total / overall.count) : '—', inline: true },
+        {
+          name: '🏷️ By Category',
+          value: formatSpendLines(byCategory, category => category ? `${CAR_CATEGORIES[category] || ''} ${category}` : '❔ Uncategorized'),
+          inline: false
+        },
+        {
+          name: '👥 By Member',
+          // API keys and the bot's own changes have no member to mention, so they show under their recorded name
+          value: formatSpendLines(byMember, (actor, group) => (!actor.type || actor.type === 'member' ? `<@${actor.id}>` : group.lastTag)),
+          inline: false
+        },
+        {
+          name: `📅 Projected Renewals (next ${PROJECTION_DAYS} days)`,
+          value: `**${formatMoney(projected)}** for ${pricedCars.length} vehicle${pricedCars.length === 1 ? '' : 's'}` +
+            (dueCars.length > pricedCars.length ? `\n⚠️ ${dueCars.length - pricedCars.length} more due without a renewal cost set (use \`/edit_car_insurance\`)` : ''),
+          inline: false
+        }
+      )
+      .setFooter({ text: `Amounts come from /new_car_insurance, /add_car_insurance, /set_expiry and /bulk_extend • ${moment().tz('Asia/Kolkata').format('DD MMM YYYY hh:mm A')}` });
+
+    await interaction.editReply({ embeds: [embed] });
+    Logger.log(`Spend report (${periodKey}) viewed by ${interaction.user.tag}`, 'info');
   } catch (err) {
-    Logger.error(`List insurance error: ${err.message}`, 'LIST INSURANCE');
+    Logger.error(`Insurance report error: ${err.message}`, 'INSURANCE REPORT');
     throw err;
   }
 }
 
-async function handleAlertInsurance(interaction) {
+async function handleAlertInsurance(interaction, config) {
   try {
-    const alertChannel = client.channels.cache.get(process.env.ALERT_CHANNEL_ID);
+    const alertChannel = client.channels.cache.get(config.alertChannelId);
     if (!alertChannel) {
       await interaction.reply({
         content: '❌ Alert channel not configured',
         ephemeral: true
       });
-      Logger.error('Alert channel not found in manual alert', 'ALERT');
+      Logger.error(`Alert channel not configured for guild ${interaction.guildId}`, 'ALERT');
       return;
     }
 
-    const cars = await CarInsurance.find();
+    const cars = await CarInsurance.find({ guildId: interaction.guildId });
     const expiringCars = cars.filter(car => {
       const daysLeft = getDaysLeft(car.expiryDate);
-      return daysLeft <= 3;
+      return daysLeft <= config.alertThreshold && !isAlertSilenced(car);
     });
 
     if (expiringCars.length === 0) {
@@ -865,14 +2628,14 @@ async function handleAlertInsurance(interaction) {
           .setTitle('✅ ALL INSURANCES ACTIVE')
           .setColor(0x00FF00)
           .setDescription('No expiring insurances found')
-          .setFooter({ text: 'Next check at 8:28 AM IST' })
+          .setFooter({ text: `Next check at ${config.dailyRunTime} IST` })
         ],
         ephemeral: true
       });
       return;
     }
 
-    const carChunks = chunkArray([...expiringCars], 10);
+    const carChunks = chunkArray([...expiringCars], ALERT_CARS_PER_MESSAGE);
     
     for (const [index, chunk] of carChunks.entries()) {
       const embed = new EmbedBuilder()
@@ -884,36 +2647,20 @@ async function handleAlertInsurance(interaction) {
           iconURL: 'https://i.imgur.com/7X8CQyG.png'
         });
 
-      chunk.forEach(car => {
-        const daysLeft = getDaysLeft(car.expiryDate);
-        embed.addFields({
-          name: `${getStatusEmoji(daysLeft)} ${car.carName.toUpperCase()} (${car.numberPlate})`,
-          value: [
-            `📅 **Expiry:** ${moment(car.expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY')}`,
-            `⏳ **Days Left:** ${daysLeft}`,
-            `👤 **Added By:** ${car.addedBy}`,
-            `🔄 **Last Updated:** ${moment(car.lastUpdated).tz('Asia/Kolkata').fromNow()}`
-          ].join('\n'),
-          inline: false
-        });
-      });
+      chunk.forEach(car => embed.addFields(formatCarField(car, config)));
 
       const content = index === 0 ? 
-        `${[
-          `<@&${process.env.FOUNDER_ROLE_ID}>`,
-          `<@&${process.env.CO_FOUNDER_ROLE_ID}>`,
-          `<@&${process.env.HIGH_COMMAND_ROLE_ID}>`,
-          `<@&${process.env.SLAYER_ROLE_ID}>`
-        ].join(' ')}\n**MANUAL ALERT: IMMEDIATE ACTION REQUIRED**` : null;
+        `${formatRoleMentions(config.pingRoleIds)}\n**MANUAL ALERT: IMMEDIATE ACTION REQUIRED**` : null;
 
       await alertChannel.send({
         content: content,
-        embeds: [embed]
+        embeds: [embed],
+        components: chunk.map(buildAlertActionRow)
       });
     }
 
     await interaction.reply({
-      content: `✅ Alert sent to <#${process.env.ALERT_CHANNEL_ID}> (${expiringCars.length} cars in ${carChunks.length} parts)`,
+      content: `✅ Alert sent to <#${config.alertChannelId}> (${expiringCars.length} cars in ${carChunks.length} parts)`,
       ephemeral: true
     });
     
@@ -927,119 +2674,114 @@ async function handleAlertInsurance(interaction) {
   }
 }
 
+// DM recipients come from the user, role and users options, deduplicated and without bots
+async function resolveRecipients(interaction) {
+  const recipients = new Map();
+
+  const user = interaction.options.getUser('user');
+  if (user) recipients.set(user.id, user);
+
+  const role = interaction.options.getRole('role');
+  if (role) {
+    await interaction.guild.members.fetch();
+    role.members.forEach(member => recipients.set(member.id, member.user));
+  }
+
+  const mentions = interaction.options.getString('users');
+  if (mentions) {
+    for (const [, userId] of mentions.matchAll(/<@!?(\d+)>/g)) {
+      const mentioned = await client.users.fetch(userId).catch(() => null);
+      if (mentioned) recipients.set(mentioned.id, mentioned);
+    }
+  }
+
+  return [...recipients.values()].filter(recipient => !recipient.bot);
+}
+
+function formatRecipientList(users) {
+  if (users.length === 0) return 'None';
+  const mentions = users.map(user => `${user}`);
+  let value = '';
+  for (const [index, mention] of mentions.entries()) {
+    const remaining = mentions.length - index;
+    if (value.length + mention.length + 20 > 1024) return `${value}\n…and ${remaining} more`;
+    value += (value ? ' ' : '') + mention;
+  }
+  return value;
+}
+
+// Sends one paginated view to every recipient and reports who received it
+async function sendViewToRecipients(interaction, recipients, viewName, buildContent) {
+  const { itemCount, pageCount, ...page } = await renderView(viewName, interaction.guildId, { guildId: interaction.guildId });
+  const delivered = [];
+  const failed = [];
+
+  for (const recipient of recipients) {
+    try {
+      await recipient.send({ content: buildContent(itemCount, pageCount), ...page });
+      delivered.push(recipient);
+    } catch (err) {
+      failed.push(recipient);
+      Logger.log(`Failed to DM ${recipient.tag}: ${err.message}`, 'warning');
+    }
+  }
+
+  return { delivered, failed, itemCount, pageCount, page };
+}
+
+function buildDeliveryEmbed(title, summary, { delivered, failed }) {
+  return new EmbedBuilder()
+    .setTitle(failed.length === 0 ? `✅ ${title}` : delivered.length === 0 ? '❌ DM FAILED' : `⚠️ ${title} (PARTIAL)`)
+    .setColor(failed.length === 0 ? 0x00FF00 : delivered.length === 0 ? 0xFF0000 : 0xFFA500)
+    .setDescription(summary)
+    .addFields(
+      { name: `📬 Delivered (${delivered.length})`, value: formatRecipientList(delivered), inline: false },
+      { name: `🔒 DMs Closed (${failed.length})`, value: formatRecipientList(failed), inline: false }
+    );
+}
+
+async function replyInvalidRecipients(interaction, count) {
+  await interaction.editReply({
+    embeds: [new EmbedBuilder()
+      .setTitle(count === 0 ? '❌ NO RECIPIENTS' : '❌ TOO MANY RECIPIENTS')
+      .setColor(0xFF0000)
+      .setDescription(count === 0
+        ? 'Pick a `user`, a `role` or mention members in `users`'
+        : `That selection has ${count} members; narrow it down to ${MAX_DM_RECIPIENTS} or fewer`)
+      .setFooter({ text: `Up to ${MAX_DM_RECIPIENTS} members per command` })
+    ]
+  });
+}
+
 async function handleDMCarInsuranceList(interaction) {
   try {
     await interaction.deferReply({ ephemeral: true });
     
-    // Get all car insurances
-    const cars = await CarInsurance.find().sort({ expiryDate: 1 });
-    
-    if (cars.length === 0) {
+    const carCount = await CarInsurance.countDocuments({ guildId: interaction.guildId });
+    if (carCount === 0) {
       await interaction.editReply({
         embeds: [new EmbedBuilder()
           .setTitle('📭 NO INSURANCES FOUND')
           .setColor(0x7289DA)
           .setDescription('No car insurances to send')
-        ],
-        ephemeral: true
+        ]
       });
       return;
     }
 
-    await interaction.editReply({
-      embeds: [new EmbedBuilder()
-        .setTitle('📤 SEND INSURANCE LIST')
-        .setColor(0x7289DA)
-        .setDescription('Please mention the user you want to send this to (e.g. @username)')
-        .setFooter({ text: 'Reply with a mention within 60 seconds' })
-      ],
-      ephemeral: true
-    });
-
-    // Collect user mention
-    const filter = m => m.author.id === interaction.user.id && m.mentions.users.size > 0;
-    const collector = interaction.channel.createMessageCollector({ filter, time: 60000 });
-
-    collector.on('collect', async m => {
-      try {
-        collector.stop();
-        const targetUser = m.mentions.users.first();
-        
-        // Split cars into chunks of 10 for pagination
-        const carChunks = chunkArray([...cars], 10);
-        
-        for (const [index, chunk] of carChunks.entries()) {
-          const embed = new EmbedBuilder()
-            .setTitle(index === 0 ? '📋 INSURANCE REGISTRY' : `📋 INSURANCE REGISTRY (PART ${index + 1})`)
-            .setColor(0x1E90FF)
-            .setThumbnail(index === 0 ? 'https://i.imgur.com/JQ6Y5zD.png' : null)
-            .setDescription(index === 0 ? `**Current insurance status as of ${moment().tz('Asia/Kolkata').format('DD MMM YYYY hh:mm A')}**` : '')
-            .setFooter({ 
-              text: index === 0 ? `Total Vehicles: ${cars.length}` : `Part ${index + 1} of ${carChunks.length}`,
-              iconURL: index === 0 ? 'https://i.imgur.com/7X8CQyG.png' : null
-            });
-
-          chunk.forEach(car => {
-            const daysLeft = getDaysLeft(car.expiryDate);
-            embed.addFields({
-              name: `${getStatusEmoji(daysLeft)} ${car.carName.toUpperCase()} (${car.numberPlate})`,
-              value: [
-                `📅 **Expiry:** ${moment(car.expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY')}`,
-                `⏳ **Days Left:** ${daysLeft}`,
-                `👤 **Added By:** ${car.addedBy}`,
-                `🔄 **Last Updated:** ${moment(car.lastUpdated).tz('Asia/Kolkata').fromNow()}`
-              ].join('\n'),
-              inline: false
-            });
-          });
-
-          try {
-            await targetUser.send({ 
-              content: index === 0 ? `Here is the complete car insurance list (${cars.length} vehicles in ${carChunks.length} parts):` : `Part ${index + 1} of ${carChunks.length}`,
-              embeds: [embed]
-            });
-            if (index === 0) {
-              Logger.log(`Insurance list sent to ${targetUser.tag} by ${interaction.user.tag}`, 'info');
-            }
-          } catch (err) {
-            await interaction.editReply({
-              embeds: [new EmbedBuilder()
-                .setTitle('❌ DM FAILED')
-                .setColor(0xFF0000)
-                .setDescription(`Could not send DM to ${targetUser}`)
-                .setFooter({ text: 'User may have DMs disabled' })
-              ],
-              ephemeral: true
-            });
-            Logger.error(`Failed to DM ${targetUser.tag}: ${err.message}`, 'DM');
-            return;
-          }
-        }
+    const recipients = await resolveRecipients(interaction);
+    if (recipients.length === 0 || recipients.length > MAX_DM_RECIPIENTS) {
+      await replyInvalidRecipients(interaction, recipients.length);
+      return;
+    }
 
-        await interaction.editReply({
-          embeds: [new EmbedBuilder()
-            .setTitle('✅ DM SENT SUCCESSFULLY')
-            .setColor(0x00FF00)
-            .setDescription(`Insurance list (${cars.length} cars in ${carChunks.length} parts) sent to ${targetUser}`)
-          ],
-          ephemeral: true
-        });
-        
-        await m.delete().catch(() => {});
-      } catch (err) {
-        Logger.error(`DM collection error: ${err.message}`, 'DM COLLECT');
-      }
-    });
+    const result = await sendViewToRecipients(interaction, recipients, 'dm_list',
+      (itemCount, pageCount) => `Here is the complete car insurance list (${itemCount} vehicles in ${pageCount} pages):`);
 
-    collector.on('end', collected => {
-      if (collected.size === 0) {
-        interaction.editReply({
-          content: '⏲️ You took too long to respond. Command cancelled.',
-          ephemeral: true
-        });
-      }
+    Logger.log(`Insurance list sent by ${interaction.user.tag}: ${result.delivered.length} delivered, ${result.failed.length} failed`, 'info');
+    await interaction.editReply({
+      embeds: [buildDeliveryEmbed('DM SENT SUCCESSFULLY', `Insurance list (${result.itemCount} cars in ${result.pageCount} pages)`, result)]
     });
-
   } catch (err) {
     Logger.error(`DM insurance error: ${err.message}`, 'DM INSURANCE');
     await interaction.editReply({
@@ -1047,21 +2789,20 @@ async function handleDMCarInsuranceList(interaction) {
         .setTitle('❌ ERROR')
         .setColor(0xFF0000)
         .setDescription('An error occurred while processing your request')
-      ],
-      ephemeral: true
+      ]
     });
   }
 }
 
-async function handleDMAlertCarInsurance(interaction) {
+async function handleDMAlertCarInsurance(interaction, config) {
   try {
     await interaction.deferReply({ ephemeral: true });
     
-    // Get expiring cars (<= 3 days left)
-    const cars = await CarInsurance.find();
+    // Get expiring cars (within the guild's alert threshold)
+    const cars = await CarInsurance.find({ guildId: interaction.guildId });
     const expiringCars = cars.filter(car => {
       const daysLeft = getDaysLeft(car.expiryDate);
-      return daysLeft <= 3;
+      return daysLeft <= config.alertThreshold && !isAlertSilenced(car);
     });
 
     if (expiringCars.length === 0) {
@@ -1070,141 +2811,656 @@ async function handleDMAlertCarInsurance(interaction) {
           .setTitle('✅ NO EXPIRING INSURANCES')
           .setColor(0x00FF00)
           .setDescription('No cars need immediate attention')
-        ],
-        ephemeral: true
+        ]
       });
       return;
     }
 
+    const recipients = await resolveRecipients(interaction);
+    if (recipients.length === 0 || recipients.length > MAX_DM_RECIPIENTS) {
+      await replyInvalidRecipients(interaction, recipients.length);
+      return;
+    }
+
+    const result = await sendViewToRecipients(interaction, recipients, 'dm_alert',
+      (itemCount, pageCount) => `Here are the expiring car insurances (${itemCount} vehicles in ${pageCount} pages):`);
+
+    // Also send the first page to the alert channel if configured
+    const alertChannel = config.alertChannelId ? client.channels.cache.get(config.alertChannelId) : null;
+    if (alertChannel) {
+      await alertChannel.send({
+        content: `${formatRoleMentions(config.pingRoleIds)}\n**MANUAL ALERT: IMMEDIATE ACTION REQUIRED**`,
+        embeds: result.page.embeds
+      });
+    }
+
+    Logger.log(`Insurance alerts sent by ${interaction.user.tag}: ${result.delivered.length} delivered, ${result.failed.length} failed`, 'info');
+    await interaction.editReply({
+      embeds: [buildDeliveryEmbed(
+        'ALERTS SENT SUCCESSFULLY',
+        `${result.itemCount} expiring insurances in ${result.pageCount} pages` + (alertChannel ? `, also posted in <#${config.alertChannelId}>` : ''),
+        result
+      )]
+    });
+  } catch (err) {
+    Logger.error(`DM alert insurance error: ${err.message}`, 'DM ALERT INSURANCE');
     await interaction.editReply({
       embeds: [new EmbedBuilder()
-        .setTitle('📤 SEND ALERT LIST')
-        .setColor(0xFFA500)
-        .setDescription(`Found ${expiringCars.length} expiring insurances. Mention the user to send alerts to (e.g. @username)`)
-        .setFooter({ text: 'Reply with a mention within 60 seconds' })
-      ],
-      ephemeral: true
+        .setTitle('❌ ERROR')
+        .setColor(0xFF0000)
+        .setDescription('An error occurred while processing your request')
+      ]
     });
+  }
+}
 
-    // Collect user mention
-    const filter = m => m.author.id === interaction.user.id && m.mentions.users.size > 0;
-    const collector = interaction.channel.createMessageCollector({ filter, time: 60000 });
+// Minimal RFC 4180 reader: quoted fields, escaped quotes and CRLF line endings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
 
-    collector.on('collect', async m => {
-      try {
-        collector.stop();
-        const targetUser = m.mentions.users.first();
-        
-        // Also send to alert channel if configured
-        const alertChannel = process.env.ALERT_CHANNEL_ID ? client.channels.cache.get(process.env.ALERT_CHANNEL_ID) : null;
-        
-        // Split cars into chunks of 10 for pagination
-        const carChunks = chunkArray([...expiringCars], 10);
-        
-        for (const [index, chunk] of carChunks.entries()) {
-          const embed = new EmbedBuilder()
-            .setTitle(index === 0 ? '🚨 INSURANCE EXPIRY ALERT' : `🚨 INSURANCE EXPIRY ALERT (PART ${index + 1})`)
-            .setColor(0xFF0000)
-            .setDescription(index === 0 ? `**${expiringCars.length} CAR${expiringCars.length > 1 ? 'S' : ''} NEED ATTENTION!**` : '')
-            .setFooter({ 
-              text: `Alert generated by ${interaction.user.tag} • ${moment().tz('Asia/Kolkata').format('DD MMM YYYY hh:mm A')}`,
-              iconURL: 'https://i.imgur.com/7X8CQyG.png'
-            });
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
 
-          chunk.forEach(car => {
-            const daysLeft = getDaysLeft(car.expiryDate);
-            embed.addFields({
-              name: `${getStatusEmoji(daysLeft)} ${car.carName.toUpperCase()} (${car.numberPlate})`,
-              value: [
-                `📅 **Expiry:** ${moment(car.expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY')}`,
-                `⏳ **Days Left:** ${daysLeft}`,
-                `👤 **Added By:** ${car.addedBy}`,
-                `🔄 **Last Updated:** ${moment(car.lastUpdated).tz('Asia/Kolkata').fromNow()}`
-              ].join('\n'),
-              inline: false
-            });
-          });
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
 
-          // Send to mentioned user
-          try {
-            await targetUser.send({ 
-              content: index === 0 ? `Here are the expiring car insurances (${expiringCars.length} vehicles in ${carChunks.length} parts):` : `Part ${index + 1} of ${carChunks.length}`,
-              embeds: [embed]
-            });
-            if (index === 0) {
-              Logger.log(`Insurance alerts sent to ${targetUser.tag} by ${interaction.user.tag}`, 'info');
-            }
-          } catch (err) {
-            await interaction.editReply({
-              embeds: [new EmbedBuilder()
-                .setTitle('❌ DM FAILED')
-                .setColor(0xFF0000)
-                .setDescription(`Could not send DM to ${targetUser}`)
-                .setFooter({ text: 'User may have DMs disabled' })
-              ],
-              ephemeral: true
-            });
-            Logger.error(`Failed to DM ${targetUser.tag}: ${err.message}`, 'DM ALERT');
-            return;
-          }
+// Accepted spellings of each import column, compared after lowercasing and dropping spaces/underscores
+const IMPORT_COLUMNS = {
+  carName: ['carname', 'car', 'name', 'vehicle'],
+  numberPlate: ['numberplate', 'plate', 'number'],
+  expiry: ['expiry', 'expirydate', 'expires'],
+  daysLeft: ['daysleft', 'days'],
+  owner: ['owner', 'ownerid'],
+  notes: ['notes', 'note']
+};
 
-          // Also send to alert channel if configured (only first chunk)
-          if (alertChannel && index === 0) {
-            const roles = [
-              `<@&${process.env.FOUNDER_ROLE_ID}>`,
-              `<@&${process.env.CO_FOUNDER_ROLE_ID}>`,
-              `<@&${process.env.HIGH_COMMAND_ROLE_ID}>`,
-              `<@&${process.env.SLAYER_ROLE_ID}>`
-            ].join(' ');
-
-            await alertChannel.send({
-              content: `${roles}\n**MANUAL ALERT: IMMEDIATE ACTION REQUIRED**`,
-              embeds: [embed]
-            });
-          }
-        }
+// JSON rows can be anything; a row that isn't an object is flagged for validateImportRows to report
+function normalizeImportRow(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { notAnObject: true };
+  const row = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const normalizedKey = key.toLowerCase().replace(/[\s_-]/g, '');
+    const column = Object.keys(IMPORT_COLUMNS).find(name => IMPORT_COLUMNS[name].includes(normalizedKey));
+    if (column && value !== undefined && value !== null && String(value).trim() !== '') {
+      row[column] = String(value).trim();
+    }
+  }
+  return row;
+}
 
-        await interaction.editReply({
-          embeds: [new EmbedBuilder()
-            .setTitle('✅ ALERTS SENT SUCCESSFULLY')
-            .setColor(0x00FF00)
-            .setDescription(`Sent ${expiringCars.length} expiring insurances in ${carChunks.length} parts to ${targetUser}` + 
-              (alertChannel ? ` and <#${process.env.ALERT_CHANNEL_ID}>` : ''))
-          ],
-          ephemeral: true
-        });
-        
-        await m.delete().catch(() => {});
-      } catch (err) {
-        Logger.error(`DM alert collection error: ${err.message}`, 'DM ALERT COLLECT');
-      }
+async function readImportRows(attachment) {
+  const response = await fetch(attachment.url);
+  if (!response.ok) throw new Error(`Download failed with status ${response.status}`);
+  const text = await response.text();
+
+  if (attachment.name.toLowerCase().endsWith('.json')) {
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : data?.cars;
+    if (!Array.isArray(records)) throw new Error('JSON must be an array of vehicles or { "cars": [...] }');
+    return records.map(normalizeImportRow);
+  }
+
+  const [header, ...lines] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  return lines.map(cells => normalizeImportRow(Object.fromEntries(header.map((name, index) => [name, cells[index]]))));
+}
+
+// Checks every row the same way /new_car_insurance does; row numbers count the header as row 1
+function validateImportRows(rows) {
+  const valid = [];
+  const errors = [];
+  const seenPlates = new Set();
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    if (row.notAnObject) {
+      errors.push(`Row ${rowNumber}: row is not an object`);
+      return;
+    }
+    const problems = [];
+
+    if (!row.carName) problems.push('missing car name');
+    else if (row.carName.length > 100) problems.push('car name over 100 characters');
+
+    if (!row.numberPlate) problems.push('missing number plate');
+    else if (!PLATE_PATTERN.test(row.numberPlate)) problems.push(`invalid plate "${row.numberPlate}"`);
+    else if (seenPlates.has(row.numberPlate.toUpperCase())) problems.push(`plate ${row.numberPlate} appears more than once`);
+
+    let expiryDate;
+    if (row.expiry && row.daysLeft) {
+      problems.push('give either expiry or days left, not both');
+    } else if (row.expiry) {
+      const parsed = parseDateInput(row.expiry);
+      const problem = getExpiryDateProblem(row.expiry, parsed);
+      if (!parsed) problems.push(`invalid expiry "${row.expiry}" (use DD-MM-YYYY or YYYY-MM-DD)`);
+      else if (problem) problems.push(`expiry ${problem.replace(/\*\*/g, '')}`);
+      else expiryDate = parsed.toDate();
+    } else if (row.daysLeft) {
+      const days = Number(row.daysLeft);
+      if (!Number.isInteger(days) || days < 0 || days > MAX_EXPIRY_DAYS) problems.push(`days left must be a whole number from 0 to ${MAX_EXPIRY_DAYS}`);
+      else expiryDate = getExpiryDate(days);
+    } else {
+      problems.push('missing expiry or days left');
+    }
+
+    let ownerId;
+    if (row.owner) {
+      const match = row.owner.match(/^(?:<@!?)?(\d{17,20})>?$/);
+      if (!match) problems.push(`owner must be a user id or mention`);
+      else ownerId = match[1];
+    }
+
+    if (row.notes && row.notes.length > 500) problems.push('notes over 500 characters');
+
+    if (problems.length > 0) {
+      errors.push(`Row ${rowNumber}: ${problems.join(', ')}`);
+      return;
+    }
+
+    seenPlates.add(row.numberPlate.toUpperCase());
+    valid.push({ carName: row.carName, numberPlate: row.numberPlate, expiryDate, ownerId, notes: row.notes });
+  });
+
+  return { valid, errors };
+}
+
+function formatImportList(lines) {
+  if (lines.length === 0) return 'None';
+  let value = '';
+  for (const [index, line] of lines.entries()) {
+    if (value.length + line.length + 20 > 1024) return `${value}\n…and ${lines.length - index} more`;
+    value += (value ? '\n' : '') + line;
+  }
+  return value;
+}
+
+async function handleImportCarInsurance(interaction) {
+  const attachment = interaction.options.getAttachment('file');
+
+  try {
+    const name = attachment.name.toLowerCase();
+    if (!name.endsWith('.csv') && !name.endsWith('.json')) {
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('❌ UNSUPPORTED FILE')
+          .setColor(0xFF0000)
+          .setDescription('Upload a `.csv` or `.json` file')
+          .addFields({ name: 'Columns', value: 'car_name, number_plate, expiry **or** days_left, owner, notes', inline: false })
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (attachment.size > MAX_IMPORT_BYTES) {
+      await interaction.reply({
+        content: `❌ File is too large (max ${MAX_IMPORT_BYTES / 1024} KB)`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    let rows;
+    try {
+      rows = await readImportRows(attachment);
+    } catch (err) {
+      await interaction.editReply({
+        embeds: [new EmbedBuilder()
+          .setTitle('❌ COULD NOT READ FILE')
+          .setColor(0xFF0000)
+          .setDescription(err.message)
+        ]
+      });
+      return;
+    }
+
+    if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+      await interaction.editReply({
+        embeds: [new EmbedBuilder()
+          .setTitle('❌ NOTHING TO IMPORT')
+          .setColor(0xFF0000)
+          .setDescription(rows.length === 0 ? 'The file has no vehicle rows' : `The file has ${rows.length} rows; the limit is ${MAX_IMPORT_ROWS}`)
+        ]
+      });
+      return;
+    }
+
+    const { valid, errors } = validateImportRows(rows);
+    const existing = await CarInsurance.find({
+      guildId: interaction.guildId,
+      numberPlate: { $in: valid.map(row => row.numberPlate) }
     });
+    const existingPlates = new Set(existing.map(car => car.numberPlate));
 
-    collector.on('end', collected => {
-      if (collected.size === 0) {
-        interaction.editReply({
-          content: '⏲️ You took too long to respond. Command cancelled.',
-          ephemeral: true
-        });
-      }
+    const formatRow = row => `**${row.numberPlate}** ${row.carName} • ${moment(row.expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY')}`;
+    const newRows = valid.filter(row => !existingPlates.has(row.numberPlate));
+    const updateRows = valid.filter(row => existingPlates.has(row.numberPlate));
+
+    const preview = new EmbedBuilder()
+      .setTitle('📥 IMPORT PREVIEW (DRY RUN)')
+      .setColor(errors.length ? 0xFFA500 : 0x1E90FF)
+      .setDescription(`**${attachment.name}**: ${rows.length} rows • ${newRows.length} new • ${updateRows.length} already registered • ${errors.length} with errors`)
+      .addFields(
+        { name: `🆕 New (${newRows.length})`, value: formatImportList(newRows.map(formatRow)), inline: false },
+        { name: `🔁 Duplicates, will be updated (${updateRows.length})`, value: formatImportList(updateRows.map(formatRow)), inline: false },
+        { name: `❌ Errors, will be skipped (${errors.length})`, value: formatImportList(errors), inline: false }
+      )
+      .setFooter({ text: 'Nothing has been saved yet • This preview expires in 15 minutes' });
+
+    if (valid.length === 0) {
+      await interaction.editReply({ embeds: [preview.setColor(0xFF0000)] });
+      return;
+    }
+
+    const pending = await PendingAction.create({
+      guildId: interaction.guildId,
+      userId: interaction.user.id,
+      type: 'import',
+      payload: { fileName: attachment.name, rows: valid },
+      expiresAt: moment().add(15, 'minutes').toDate()
     });
 
+    await interaction.editReply({
+      embeds: [preview],
+      components: [
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId(`import_confirm:${pending.id}`)
+            .setLabel(`Import ${valid.length} vehicle${valid.length === 1 ? '' : 's'}`)
+            .setStyle(ButtonStyle.Success),
+          new ButtonBuilder()
+            .setCustomId(`import_cancel:${pending.id}`)
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Secondary)
+        )
+      ]
+    });
+    Logger.log(`Import preview for ${attachment.name} by ${interaction.user.tag}: ${valid.length} valid, ${errors.length} errors`, 'info');
   } catch (err) {
-    Logger.error(`DM alert insurance error: ${err.message}`, 'DM ALERT INSURANCE');
+    Logger.error(`Import insurance error: ${err.message}`, 'IMPORT INSURANCE');
+    throw err;
+  }
+}
+
+async function handleImportButton(interaction, config) {
+  const [action, pendingId] = interaction.customId.split(':');
+  const pending = await PendingAction.findOne({ _id: pendingId, type: 'import' });
+
+  if (!pending) {
+    await interaction.update({ content: '⏲️ This import preview has expired. Run `/import_car_insurance` again.', embeds: [], components: [] });
+    return;
+  }
+  if (pending.userId !== interaction.user.id) {
+    await interaction.reply({ content: '⛔ Only the member who uploaded this file can answer it', ephemeral: true });
+    return;
+  }
+
+  if (action === 'import_cancel') {
+    await pending.deleteOne();
+    await interaction.update({ content: '↩️ Import cancelled. Nothing was saved.', embeds: [], components: [] });
+    return;
+  }
+
+  if (!hasPermission(interaction.member, config, 'create')) {
+    await interaction.update({ content: '🔒 You no longer have permission to register vehicles', embeds: [], components: [] });
+    return;
+  }
+
+  await interaction.deferUpdate();
+  const { rows, fileName } = pending.payload;
+  const changes = [];
+
+  // All rows land together or not at all
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      changes.length = 0;
+      for (const row of rows) {
+        const car = await CarInsurance.findOne({ guildId: interaction.guildId, numberPlate: row.numberPlate })
+          .session(session);
+
+        if (car) {
+          const oldExpiry = car.expiryDate;
+          car.carName = row.carName;
+          car.expiryDate = row.expiryDate;
+          if (row.ownerId) car.ownerId = row.ownerId;
+          if (row.notes) car.notes = row.notes;
+          car.lastUpdated = new Date();
+          await car.save({ session });
+          changes.push({ type: 'import', car, oldExpiry });
+        } else {
+          const [created] = await CarInsurance.create([{
+            guildId: interaction.guildId,
+            carName: row.carName,
+            numberPlate: row.numberPlate,
+            expiryDate: row.expiryDate,
+            addedBy: interaction.user.tag,
+            addedById: interaction.user.id,
+            ownerId: row.ownerId,
+            notes: row.notes
+          }], { session });
+          changes.push({ type: 'create', car: created });
+        }
+      }
+      await PendingAction.deleteOne({ _id: pending._id }).session(session);
+    });
+  } catch (err) {
+    Logger.error(`Import transaction failed: ${err.message}`, 'IMPORT INSURANCE');
     await interaction.editReply({
       embeds: [new EmbedBuilder()
-        .setTitle('❌ ERROR')
+        .setTitle('❌ IMPORT FAILED')
         .setColor(0xFF0000)
-        .setDescription('An error occurred while processing your request')
+        .setDescription('No vehicles were saved. The preview is still valid if you want to retry.')
+        .setFooter({ text: err.message.slice(0, 2000) })
+      ]
+    });
+    return;
+  } finally {
+    await session.endSession();
+  }
+
+  for (const { type, car, oldExpiry } of changes) {
+    await recordEvent(type, car, interaction.user, {
+      oldExpiry,
+      newExpiry: car.expiryDate,
+      dayDelta: oldExpiry ? moment(car.expiryDate).diff(moment(oldExpiry), 'days') : getDaysLeft(car.expiryDate)
+    });
+  }
+
+  const created = changes.filter(change => change.type === 'create').length;
+  Logger.database(`Imported ${fileName} by ${interaction.user.tag}: ${created} created, ${changes.length - created} updated`, 'IMPORT');
+
+  await interaction.editReply({
+    embeds: [new EmbedBuilder()
+      .setTitle('✅ IMPORT COMPLETE')
+      .setColor(0x00FF00)
+      .setDescription(`**${fileName}** imported by ${interaction.user}`)
+      .addFields(
+        { name: '🆕 Registered', value: created.toString(), inline: true },
+        { name: '🔁 Updated', value: (changes.length - created).toString(), inline: true }
+      )
+      .setFooter({ text: 'Every change is recorded in /history' })
+    ],
+    components: []
+  });
+}
+
+// Discord caps select menus at 25 options
+const MAX_BULK_SELECT = 25;
+
+// Works out each car's new expiry; reductions that would land in the past are skipped like in /less_car_insurance
+function planBulkChange(cars, mode, days) {
+  const delta = mode === 'reduce' ? -days : days;
+  const applied = [];
+  const skipped = [];
+  for (const car of cars) {
+    const oldExpiry = moment(car.expiryDate).tz('Asia/Kolkata');
+    const newExpiry = oldExpiry.clone().add(delta, 'days');
+    const daysLeft = getDaysLeft(newExpiry);
+    (daysLeft < 0 || daysLeft > MAX_EXPIRY_DAYS ? skipped : applied).push({ car, oldExpiry, newExpiry });
+  }
+  return { delta, applied, skipped };
+}
+
+function formatBulkChange({ car, oldExpiry, newExpiry }) {
+  return `**${car.numberPlate}** ${car.carName} • ${oldExpiry.format('DD MMM')} → ${newExpiry.format('DD MMM YYYY')}`;
+}
+
+async function showBulkConfirmation(interaction, pending, cars) {
+  const { mode, days, amountEach } = pending.payload;
+  const { applied, skipped } = planBulkChange(cars, mode, days);
+  const verb = mode === 'reduce' ? 'Reduce' : 'Extend';
+
+  const embed = new EmbedBuilder()
+    .setTitle(mode === 'reduce' ? '⚠️ CONFIRM BULK REDUCTION' : '🔄 CONFIRM BULK EXTENSION')
+    .setColor(mode === 'reduce' ? 0xFFA500 : 0x1E90FF)
+    .setDescription(`${verb} **${applied.length}** vehicle${applied.length === 1 ? '' : 's'} by **${days}** day${days === 1 ? '' : 's'}` +
+      (amountEach != null ? `\n💵 ${formatMoney(amountEach)} each, ${formatMoney(amountEach * applied.length)} in total` : ''))
+    .addFields({ name: `✅ Will change (${applied.length})`, value: formatImportList(applied.map(formatBulkChange)), inline: false })
+    .setFooter({ text: 'Nothing has been saved yet • This request expires in 15 minutes' });
+  if (skipped.length > 0) {
+    embed.addFields({ name: `⏭️ Skipped, would end in the past or over ${MAX_EXPIRY_DAYS / 365} years out (${skipped.length})`, value: formatImportList(skipped.map(formatBulkChange)), inline: false });
+  }
+
+  const components = applied.length === 0 ? [] : [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`bulk_confirm:${pending.id}`)
+        .setLabel(`${verb} ${applied.length} vehicle${applied.length === 1 ? '' : 's'}`)
+        .setStyle(mode === 'reduce' ? ButtonStyle.Danger : ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`bulk_cancel:${pending.id}`)
+        .setLabel('Cancel')
+        .setStyle(ButtonStyle.Secondary)
+    )
+  ];
+
+  const message = { content: '', embeds: [embed], components };
+  if (interaction.isMessageComponent()) await interaction.update(message);
+  else await interaction.reply({ ...message, ephemeral: true });
+}
+
+async function handleBulkExtend(interaction, config) {
+  const mode = interaction.options.getString('mode') || 'extend';
+  const days = interaction.options.getInteger('days');
+  const expiringWithin = interaction.options.getInteger('expiring_within');
+  const search = interaction.options.getString('search') || undefined;
+  const amountEach = interaction.options.getNumber('amount_each');
+
+  if (mode === 'reduce' && amountEach !== null) {
+    await interaction.reply({ content: '❌ `amount_each` records what was paid for an extension and cannot be used when reducing', ephemeral: true });
+    return;
+  }
+
+  // The command is gated on extend; reducing also needs the reduce permission
+  if (mode === 'reduce' && !hasPermission(interaction.member, config, 'reduce')) {
+    await interaction.reply({ content: '⛔ ACCESS DENIED: You lack required permissions', ephemeral: true });
+    Logger.log(`Permission denied for ${interaction.user.tag} on /bulk_extend mode:reduce`, 'warning');
+    return;
+  }
+
+  try {
+    let cars = await findCars(config, { search, sort: 'expiry', order: 'asc' });
+    if (expiringWithin !== null) cars = cars.filter(car => getDaysLeft(car.expiryDate) <= expiringWithin);
+
+    if (cars.length === 0) {
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('📭 NO MATCHING VEHICLES')
+          .setColor(0xFFA500)
+          .setDescription([
+            search ? `search: **${search}**` : 'Every registered vehicle',
+            expiringWithin !== null ? `expiring within **${expiringWithin}** days` : null
+          ].filter(Boolean).join(' • '))
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    const pending = await PendingAction.create({
+      guildId: interaction.guildId,
+      userId: interaction.user.id,
+      type: 'bulk_extend',
+      payload: { mode, days, amountEach, plates: cars.map(car => car.numberPlate) },
+      expiresAt: moment().add(15, 'minutes').toDate()
+    });
+
+    if (expiringWithin !== null) {
+      await showBulkConfirmation(interaction, pending, cars);
+      return;
+    }
+
+    const options = cars.slice(0, MAX_BULK_SELECT).map(car => ({
+      label: `${car.carName} - ${car.numberPlate}`.slice(0, 100),
+      description: `${getDaysLeft(car.expiryDate)} days left • ${moment(car.expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY')}`,
+      value: car.numberPlate
+    }));
+
+    await interaction.reply({
+      content: cars.length > MAX_BULK_SELECT
+        ? `Showing the ${MAX_BULK_SELECT} soonest-expiring of ${cars.length} vehicles. Use \`search\` or \`expiring_within\` to narrow the list.`
+        : 'Pick the vehicles to change:',
+      components: [
+        new ActionRowBuilder().addComponents(
+          new StringSelectMenuBuilder()
+            .setCustomId(`bulk_select:${pending.id}`)
+            .setPlaceholder(`Vehicles to ${mode}`)
+            .setMinValues(1)
+            .setMaxValues(options.length)
+            .addOptions(options)
+        )
       ],
       ephemeral: true
     });
+  } catch (err) {
+    Logger.error(`Bulk extend error: ${err.message}`, 'BULK EXTEND');
+    throw err;
+  }
+}
+
+async function loadBulkPending(interaction) {
+  const [, pendingId] = interaction.customId.split(':');
+  const pending = await PendingAction.findOne({ _id: pendingId, type: 'bulk_extend' });
+
+  if (!pending) {
+    await interaction.update({ content: '⏲️ This bulk change has expired. Run `/bulk_extend` again.', embeds: [], components: [] });
+    return null;
+  }
+  if (pending.userId !== interaction.user.id) {
+    await interaction.reply({ content: '⛔ Only the member who started this bulk change can answer it', ephemeral: true });
+    return null;
+  }
+  return pending;
+}
+
+async function handleBulkSelect(interaction) {
+  const pending = await loadBulkPending(interaction);
+  if (!pending) return;
+
+  // Keep the picked plates only if they were offered in the first place
+  const plates = interaction.values.filter(plate => pending.payload.plates.includes(plate));
+  pending.payload = { ...pending.payload, plates };
+  pending.markModified('payload');
+  await pending.save();
+
+  const cars = await CarInsurance.find({ guildId: interaction.guildId, numberPlate: { $in: plates } }).sort({ expiryDate: 1 });
+  await showBulkConfirmation(interaction, pending, cars);
+}
+
+async function handleBulkButton(interaction, config) {
+  const pending = await loadBulkPending(interaction);
+  if (!pending) return;
+
+  if (interaction.customId.startsWith('bulk_cancel')) {
+    await pending.deleteOne();
+    await interaction.update({ content: '↩️ Bulk change cancelled. Nothing was saved.', embeds: [], components: [] });
+    return;
+  }
+
+  const { mode, days, amountEach, plates } = pending.payload;
+  if (!hasPermission(interaction.member, config, mode)) {
+    await interaction.update({ content: `🔒 You no longer have permission to ${mode} insurance`, embeds: [], components: [] });
+    return;
+  }
+
+  await interaction.deferUpdate();
+  let plan;
+
+  // Every car changes together or not at all; expiries are re-read inside the transaction
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const cars = await CarInsurance.find({ guildId: interaction.guildId, numberPlate: { $in: plates } })
+        .sort({ expiryDate: 1 })
+        .session(session);
+      plan = planBulkChange(cars, mode, days);
+
+      for (const { car, newExpiry } of plan.applied) {
+        car.expiryDate = newExpiry.toDate();
+        car.lastUpdated = new Date();
+        await car.save({ session });
+      }
+      await PendingAction.deleteOne({ _id: pending._id }).session(session);
+    });
+  } catch (err) {
+    Logger.error(`Bulk extend transaction failed: ${err.message}`, 'BULK EXTEND');
+    await interaction.editReply({
+      embeds: [new EmbedBuilder()
+        .setTitle('❌ BULK CHANGE FAILED')
+        .setColor(0xFF0000)
+        .setDescription('No vehicles were changed. The confirmation is still valid if you want to retry.')
+        .setFooter({ text: err.message.slice(0, 2000) })
+      ]
+    });
+    return;
+  } finally {
+    await session.endSession();
+  }
+
+  for (const { car, oldExpiry } of plan.applied) {
+    await recordEvent(mode, car, interaction.user, {
+      oldExpiry: oldExpiry.toDate(),
+      newExpiry: car.expiryDate,
+      dayDelta: plan.delta,
+      amount: amountEach ?? undefined
+    });
+  }
+  Logger.database(`Bulk ${mode} by ${interaction.user.tag}: ${plan.applied.length} vehicles by ${days} days`, 'UPDATE');
+
+  const missing = plates.length - plan.applied.length - plan.skipped.length;
+  const embed = new EmbedBuilder()
+    .setTitle(mode === 'reduce' ? '⚠️ BULK REDUCTION COMPLETE' : '🔄 BULK EXTENSION COMPLETE')
+    .setColor(mode === 'reduce' ? 0xFFA500 : 0x00FF00)
+    .setDescription(`**${plan.applied.length}** vehicle${plan.applied.length === 1 ? '' : 's'} ${mode === 'reduce' ? 'reduced' : 'extended'} by **${days}** day${days === 1 ? '' : 's'} by ${interaction.user}` +
+      (amountEach != null ? `\n💵 ${formatMoney(amountEach * plan.applied.length)} recorded` : ''))
+    .addFields({ name: '✅ Changed', value: formatImportList(plan.applied.map(formatBulkChange)), inline: false })
+    .setFooter({ text: 'Every change is recorded in /history' });
+  if (plan.skipped.length > 0) {
+    embed.addFields({ name: '⏭️ Skipped, would end in the past', value: formatImportList(plan.skipped.map(formatBulkChange)), inline: false });
+  }
+  if (missing > 0) {
+    embed.addFields({ name: '🗑️ No longer registered', value: `${missing} vehicle${missing === 1 ? ' was' : 's were'} removed before confirmation`, inline: false });
   }
+
+  await interaction.editReply({ content: '', embeds: [embed], components: [] });
 }
 
 async function handleRemoveCarInsurance(interaction) {
   const numberPlate = interaction.options.getString('number_plate');
-  const password = interaction.options.getString('password');
   
   if (numberPlate.startsWith('new_car_')) {
     const newPlate = numberPlate.replace('new_car_', '');
@@ -1220,21 +3476,7 @@ async function handleRemoveCarInsurance(interaction) {
   }
 
   try {
-    if (password !== 'slayers1') {
-      await interaction.reply({
-        embeds: [new EmbedBuilder()
-          .setTitle('🔒 ACCESS DENIED')
-          .setColor(0xFF0000)
-          .setDescription('Incorrect removal password')
-          .setFooter({ text: 'Contact leadership for assistance' })
-        ],
-        ephemeral: true
-      });
-      Logger.log(`Failed removal attempt by ${interaction.user.tag} (wrong password)`, 'warning');
-      return;
-    }
-
-    const car = await CarInsurance.findOneAndDelete({ numberPlate });
+    const car = await CarInsurance.findOne({ guildId: interaction.guildId, numberPlate });
     if (!car) {
       await interaction.reply({
         embeds: [new EmbedBuilder()
@@ -1247,21 +3489,32 @@ async function handleRemoveCarInsurance(interaction) {
       return;
     }
 
-    Logger.database(`Insurance removed: ${car.carName} (${numberPlate}) by ${interaction.user.tag}`, 'DELETE');
+    // Only the member who ran the command can answer the prompt
     await interaction.reply({
       embeds: [new EmbedBuilder()
-        .setTitle('🗑️ INSURANCE REMOVED')
-        .setColor(0xFF0000)
-        .setThumbnail('https://i.imgur.com/7X8CQyG.png')
+        .setTitle('⚠️ CONFIRM REMOVAL')
+        .setColor(0xFFA500)
+        .setDescription(`Remove **${car.carName}** (${numberPlate}) from the registry?`)
         .addFields(
-          { name: '🚗 Car Name', value: car.carName, inline: true },
-          { name: '🔢 Number Plate', value: numberPlate, inline: true },
           { name: '📅 Expiry Date', value: moment(car.expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY'), inline: true },
           { name: '⏳ Days Left', value: getDaysLeft(car.expiryDate).toString(), inline: true },
-          { name: '👤 Removed By', value: interaction.user.tag, inline: true }
+          { name: '👤 Added By', value: car.addedBy, inline: true }
         )
-        .setFooter({ text: 'Permanently deleted from database' })
-      ]
+        .setFooter({ text: `Removed records can be restored for ${TRASH_RETENTION_DAYS} days` })
+      ],
+      components: [
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId(`remove_confirm:${interaction.user.id}:${numberPlate}`)
+            .setLabel('Remove')
+            .setStyle(ButtonStyle.Danger),
+          new ButtonBuilder()
+            .setCustomId(`remove_cancel:${interaction.user.id}:${numberPlate}`)
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Secondary)
+        )
+      ],
+      ephemeral: true
     });
   } catch (err) {
     Logger.error(`Remove insurance error: ${err.message}`, 'REMOVE INSURANCE');
@@ -1269,146 +3522,3464 @@ async function handleRemoveCarInsurance(interaction) {
   }
 }
 
-// Slash Command Definitions
-const commands = [
-  {
-    name: 'new_car_insurance',
-    description: 'Register new car insurance',
-    options: [
-      {
-        name: 'car_name',
-        description: 'Vehicle make/model (e.g. Toyota Camry)',
-        type: 3,
-        required: true
-      },
-      {
-        name: 'number_plate',
-        description: 'License plate (e.g. MH01-AB-1234)',
-        type: 3,
-        required: true
-      },
-      {
-        name: 'days_left',
-        description: 'Days until insurance expires',
-        type: 4,
-        required: true,
-        min_value: 1
-      }
-    ]
-  },
-  {
-    name: 'add_car_insurance',
-    description: 'Extend existing insurance validity',
-    options: [
-      {
-        name: 'number_plate',
-        description: 'Select vehicle from dropdown',
-        type: 3,
-        required: true,
-        autocomplete: true
-      },
-      {
-        name: 'days_to_add',
-        description: 'Days to add to insurance',
-        type: 4,
-        required: true,
-        min_value: 1
-      }
-    ]
-  },
-  {
-    name: 'less_car_insurance',
-    description: 'Reduce existing insurance validity',
-    options: [
-      {
-        name: 'number_plate',
-        description: 'Select vehicle from dropdown',
-        type: 3,
-        required: true,
-        autocomplete: true
-      },
-      {
-        name: 'days_to_subtract',
-        description: 'Days to subtract from insurance',
-        type: 4,
-        required: true,
-        min_value: 1
-      }
-    ]
-  },
-  {
-    name: 'list_car_insurance',
-    description: 'View all registered car insurances (paginated)'
-  },
-  {
-    name: 'alert_insurance',
-    description: 'Trigger manual insurance expiry alert (sends to alert channel)'
+// Moves a car to the restorable trash and records the removal; null if it was not registered
+async function trashCar(guildId, numberPlate, user) {
+  // The trash copy and the delete commit together, so a failed insert never loses the record
+  const session = await mongoose.startSession();
+  let car = null;
+  try {
+    await session.withTransaction(async () => {
+      car = await CarInsurance.findOneAndDelete({ guildId, numberPlate }, { session });
+      if (!car) return;
+
+      await DeletedCarInsurance.create([{
+        guildId: car.guildId,
+        carName: car.carName,
+        numberPlate: car.numberPlate,
+        expiryDate: car.expiryDate,
+        record: car.toObject(),
+        deletedBy: user.tag,
+        purgeAt: moment().add(TRASH_RETENTION_DAYS, 'days').toDate()
+      }], { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  if (!car) return null;
+
+  await recordEvent('remove', car, user, { oldExpiry: car.expiryDate });
+  Logger.database(`Insurance removed: ${car.carName} (${numberPlate}) by ${user.tag}`, 'DELETE');
+  return car;
+}
+
+async function handleRemoveButton(interaction, config) {
+  const [action, userId, numberPlate] = interaction.customId.split(':');
+
+  if (interaction.user.id !== userId) {
+    await interaction.reply({
+      content: '⛔ Only the member who started this removal can answer it',
+      ephemeral: true
+    });
+    return;
+  }
+
+  if (action === 'remove_cancel') {
+    await interaction.update({
+      embeds: [new EmbedBuilder()
+        .setTitle('↩️ REMOVAL CANCELLED')
+        .setColor(0x7289DA)
+        .setDescription(`**${numberPlate}** was not removed`)
+      ],
+      components: []
+    });
+    return;
+  }
+
+  try {
+    // Roles may have changed since the prompt was shown
+    if (!hasPermission(interaction.member, config, 'remove')) {
+      await interaction.update({
+        embeds: [new EmbedBuilder()
+          .setTitle('🔒 ACCESS DENIED')
+          .setColor(0xFF0000)
+          .setDescription('You no longer have permission to remove insurance records')
+        ],
+        components: []
+      });
+      return;
+    }
+
+    const car = await trashCar(interaction.guildId, numberPlate, interaction.user);
+    if (!car) {
+      await interaction.update({
+        embeds: [new EmbedBuilder()
+          .setTitle('❌ RECORD NOT FOUND')
+          .setColor(0xFF0000)
+          .setDescription(`No insurance found for:\n**${numberPlate}**`)
+        ],
+        components: []
+      });
+      return;
+    }
+
+    await interaction.update({
+      embeds: [new EmbedBuilder()
+        .setTitle('🗑️ INSURANCE REMOVED')
+        .setColor(0xFF0000)
+        .setThumbnail('https://i.imgur.com/7X8CQyG.png')
+        .addFields(
+          { name: '🚗 Car Name', value: car.carName, inline: true },
+          { name: '🔢 Number Plate', value: numberPlate, inline: true },
+          { name: '📅 Expiry Date', value: moment(car.expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY'), inline: true },
+          { name: '⏳ Days Left', value: getDaysLeft(car.expiryDate).toString(), inline: true },
+          { name: '👤 Removed By', value: interaction.user.tag, inline: true }
+        )
+        .setFooter({ text: `Moved to trash • Restore with /restore_car_insurance within ${TRASH_RETENTION_DAYS} days` })
+      ],
+      components: []
+    });
+  } catch (err) {
+    Logger.error(`Remove insurance error: ${err.message}`, 'REMOVE INSURANCE');
+    throw err;
+  }
+}
+
+async function handleRestoreCarInsurance(interaction) {
+  const numberPlate = interaction.options.getString('number_plate');
+
+  try {
+    const trashed = await DeletedCarInsurance.findOne({ guildId: interaction.guildId, numberPlate }).sort({ deletedAt: -1 });
+    if (!trashed) {
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('❌ RECORD NOT FOUND')
+          .setColor(0xFF0000)
+          .setDescription(`No removed insurance found for:\n**${numberPlate}**`)
+          .setFooter({ text: `Removed records are purged after ${TRASH_RETENTION_DAYS} days` })
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    // Restoring and leaving the trash commit together, like trashCar
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await CarInsurance.create([{ ...trashed.record, lastUpdated: new Date() }], { session });
+        await trashed.deleteOne({ session });
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('❌ DUPLICATE ENTRY')
+          .setColor(0xFF0000)
+          .setDescription(`Number plate **${numberPlate}** has been registered again since it was removed`)
+          .addFields({ name: 'Existing Entry', value: 'Check `/list_car_insurance`', inline: true })
+        ],
+        ephemeral: true
+      });
+      return;
+    } finally {
+      await session.endSession();
+    }
+
+    await recordEvent('restore', trashed, interaction.user, { newExpiry: trashed.expiryDate });
+    Logger.database(`Insurance restored: ${trashed.carName} (${numberPlate}) by ${interaction.user.tag}`, 'RESTORE');
+
+    await interaction.reply({
+      embeds: [new EmbedBuilder()
+        .setTitle('♻️ INSURANCE RESTORED')
+        .setColor(0x00FF00)
+        .setThumbnail('https://i.imgur.com/JQ6Y5zD.png')
+        .addFields(
+          { name: '🚗 Car Name', value: trashed.carName, inline: true },
+          { name: '🔢 Number Plate', value: numberPlate, inline: true },
+          { name: '📅 Expiry Date', value: moment(trashed.expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY'), inline: true },
+          { name: '⏳ Days Left', value: getDaysLeft(trashed.expiryDate).toString(), inline: true },
+          { name: '🗑️ Removed By', value: trashed.deletedBy, inline: true },
+          { name: '👤 Restored By', value: interaction.user.tag, inline: true }
+        )
+        .setFooter({ text: 'Insurance restored to the registry' })
+      ]
+    });
+  } catch (err) {
+    Logger.error(`Restore insurance error: ${err.message}`, 'RESTORE INSURANCE');
+    throw err;
+  }
+}
+
+const EVENT_LABELS = {
+  create: '🆕 Registered',
+  extend: '➕ Extended',
+  reduce: '➖ Reduced',
+  set_expiry: '📅 Expiry set',
+  edit: '✏️ Details edited',
+  rename: '🔤 Plate changed',
+  remove: '🗑️ Removed',
+  restore: '♻️ Restored',
+  import: '📥 Updated by import',
+  assign_owner: '🔑 Owner changed'
+};
+
+function formatEventLine(event, { showCar = false, showActor = true } = {}) {
+  const formatDay = date => moment(date).tz('Asia/Kolkata').format('DD MMM YYYY');
+  const parts = [`**${moment(event.createdAt).tz('Asia/Kolkata').format('DD MMM YYYY HH:mm')}**`];
+
+  let summary = EVENT_LABELS[event.type] || event.type;
+  if (showCar) summary += ` ${event.carName} (${event.numberPlate})`;
+  if (event.dayDelta) summary += ` ${event.dayDelta > 0 ? '+' : ''}${event.dayDelta}d`;
+  parts.push(summary);
+  if (event.amount != null) parts.push(`💰 ${formatMoney(event.amount)}`);
+
+  if (event.type === 'assign_owner') parts.push(event.ownerId ? `now <@${event.ownerId}>` : 'owner cleared');
+  else if (event.type === 'edit') parts.push((event.changedFields || []).join(', '));
+  else if (event.type === 'rename') parts.push(`from ${event.previousPlate}`);
+  else if (event.oldExpiry && event.newExpiry) parts.push(`${formatDay(event.oldExpiry)} → ${formatDay(event.newExpiry)}`);
+  else if (event.newExpiry) parts.push(`expires ${formatDay(event.newExpiry)}`);
+  else if (event.oldExpiry) parts.push(`was ${formatDay(event.oldExpiry)}`);
+
+  if (showActor) parts.push(`by ${event.actorTag}`);
+  return parts.join(' • ');
+}
+
+// Stateless pagination: the view, target page and view arguments live in each button's custom id
+// (`page:<view>:<button>:<page>:<args...>`), so pagers keep working for anyone after a restart.
+const STATUS_CODES = { all: '', expired: 'x', urgent: 'u', warning: 'w', active: 'a' };
+const SORT_CODES = { expiry: 'e', name: 'n', plate: 'p', updated: 'u', cost: 'c' };
+const CATEGORY_CODES = { car: 'c', bike: 'b', heli: 'h', boat: 's' };
+const decodeWith = (codes, code, fallback) => Object.keys(codes).find(key => codes[key] === code) || fallback;
+
+const PAGINATED_VIEWS = {
+  list: {
+    action: 'view',
+    // Search goes last so a ':' typed into it survives the split
+    encode: args => [
+      STATUS_CODES[args.status || 'all'],
+      SORT_CODES[args.sort || 'expiry'],
+      args.order === 'desc' ? 'd' : 'a',
+      CATEGORY_CODES[args.category] || '',
+      args.ownerId || '',
+      args.addedById || '',
+      args.search || ''
+    ].join(':'),
+    decode: ([status, sort, order, category, ownerId, addedById, ...search]) => ({
+      status: decodeWith(STATUS_CODES, status, 'all'),
+      sort: decodeWith(SORT_CODES, sort, 'expiry'),
+      order: order === 'd' ? 'desc' : 'asc',
+      category: decodeWith(CATEGORY_CODES, category, undefined),
+      ownerId: ownerId || undefined,
+      addedById: addedById || undefined,
+      search: search.join(':') || undefined
+    }),
+    async load(config, args) {
+      const filters = await resolveCarFilters(args);
+      return {
+        items: await findCars(config, filters),
+        total: await CarInsurance.countDocuments({ guildId: config.guildId }),
+        filters
+      };
+    },
+    buildEmbed({ config, chunk, items, page, pageCount, total, filters }) {
+      const embed = new EmbedBuilder()
+        .setTitle('📋 INSURANCE REGISTRY')
+        .setColor(items.length ? 0x1E90FF : 0x7289DA)
+        .setDescription(items.length ? describeCarFilters(filters) : `No vehicles match these filters\n${describeCarFilters(filters)}`)
+        .setThumbnail(page === 0 ? 'https://i.imgur.com/JQ6Y5zD.png' : null)
+        .setFooter({
+          text: `Showing ${items.length} of ${total} • Page ${page + 1} of ${pageCount} • ${moment().tz('Asia/Kolkata').format('DD MMM YYYY hh:mm A')}`,
+          iconURL: 'https://i.imgur.com/7X8CQyG.png'
+        });
+      chunk.forEach(car => embed.addFields(formatCarField(car, config)));
+      return embed;
+    },
+    buildComponents({ args, encodedArgs, chunk }) {
+      // One edit button per car on the page, five to a row
+      const editRows = chunkArray(chunk.map(car => new ButtonBuilder()
+        .setCustomId(`edit:${car.numberPlate}`)
+        .setLabel(`✏️ ${car.numberPlate}`)
+        .setStyle(ButtonStyle.Secondary)), 5)
+        .map(buttons => new ActionRowBuilder().addComponents(buttons));
+
+      return [
+        ...editRows,
+        new ActionRowBuilder().addComponents(
+          new StringSelectMenuBuilder()
+            .setCustomId(`page:list:s:0:${encodedArgs}`)
+            .setPlaceholder('Filter by status')
+            .addOptions(['all', ...CAR_STATUSES].map(status => ({
+              label: status === 'all' ? 'All statuses' : status.charAt(0).toUpperCase() + status.slice(1),
+              value: status,
+              default: (args.status || 'all') === status
+            })))
+        )
+      ];
+    }
   },
-  {
-    name: 'dm_car_insurance_list',
-    description: 'Send complete insurance list via DM to mentioned user (paginated)'
+
+  history: {
+    action: 'view',
+    encode: args => args.numberPlate,
+    decode: ([numberPlate]) => ({ numberPlate }),
+    async load(config, args) {
+      return { items: await InsuranceEvent.find({ guildId: config.guildId, numberPlate: args.numberPlate }).sort({ createdAt: -1 }) };
+    },
+    buildEmbed({ args, chunk, items, page, pageCount }) {
+      return new EmbedBuilder()
+        .setTitle(`🕓 HISTORY: ${items.length ? items[0].carName.toUpperCase() : ''} (${args.numberPlate})`)
+        .setColor(0x7289DA)
+        .setDescription(chunk.map(event => formatEventLine(event)).join('\n') || 'No recorded changes')
+        .setFooter({ text: `Page ${page + 1} of ${pageCount} • ${items.length} event${items.length === 1 ? '' : 's'}` });
+    }
   },
-  {
-    name: 'dm_alert_car_insurance',
-    description: 'Send only expiring insurances via DM to mentioned user and alert channel (paginated)',
+
+  audit: {
+    action: 'view',
+    encode: args => args.userId,
+    decode: ([userId]) => ({ userId }),
+    async load(config, args) {
+      return {
+        items: await InsuranceEvent.find({ guildId: config.guildId, actorId: args.userId }).sort({ createdAt: -1 }),
+        user: await client.users.fetch(args.userId)
+      };
+    },
+    buildEmbed({ chunk, items, page, pageCount, user }) {
+      return new EmbedBuilder()
+        .setTitle(`🔍 AUDIT: ${user.tag}`)
+        .setColor(0x7289DA)
+        .setDescription(chunk.map(event => formatEventLine(event, { showCar: true, showActor: false })).join('\n') || 'No recorded changes')
+        .setFooter({ text: `Page ${page + 1} of ${pageCount} • ${items.length} event${items.length === 1 ? '' : 's'}` });
+    }
   },
-  {
-    name: 'remove_car_insurance',
-    description: 'Permanently remove insurance record (password protected)',
-    options: [
-      {
-        name: 'number_plate',
-        description: 'Select vehicle to remove',
-        type: 3,
-        required: true,
-        autocomplete: true
-      },
-      {
-        name: 'password',
-        description: 'Removal password',
-        type: 3,
-        required: true
-      }
-    ]
+
+  my_cars: {
+    encode: args => args.userId,
+    decode: ([userId]) => ({ userId }),
+    async load(config, args) {
+      return { items: await findCars(config, { ownerId: args.userId }) };
+    },
+    buildEmbed({ config, chunk, items, page, pageCount }) {
+      const embed = new EmbedBuilder()
+        .setTitle('🔑 MY VEHICLES')
+        .setColor(0x1E90FF)
+        .setFooter({ text: `Page ${page + 1} of ${pageCount} • ${items.length} vehicle${items.length === 1 ? '' : 's'}` });
+      chunk.forEach(car => embed.addFields(formatCarField(car, config)));
+      return embed;
+    }
   },
-  {
-    name: 'scan_insurance',
-    description: 'Manually scan and decrease insurance days if not done automatically'
+
+  // DM exports carry their guild id because the buttons are clicked outside the guild
+  dm_list: {
+    encode: args => args.guildId,
+    decode: ([guildId]) => ({ guildId }),
+    async load(config) {
+      return { items: await findCars(config) };
+    },
+    buildEmbed({ config, chunk, items, page, pageCount }) {
+      const embed = new EmbedBuilder()
+        .setTitle('📋 INSURANCE REGISTRY')
+        .setColor(0x1E90FF)
+        .setThumbnail(page === 0 ? 'https://i.imgur.com/JQ6Y5zD.png' : null)
+        .setDescription(`**Current insurance status as of ${moment().tz('Asia/Kolkata').format('DD MMM YYYY hh:mm A')}**`)
+        .setFooter({
+          text: `Total Vehicles: ${items.length} • Page ${page + 1} of ${pageCount}`,
+          iconURL: 'https://i.imgur.com/7X8CQyG.png'
+        });
+      chunk.forEach(car => embed.addFields(formatCarField(car, config)));
+      return embed;
+    }
   },
-  {
-    name: 'ping',
-    description: 'Check bot status and response time'
+
+  dm_alert: {
+    encode: args => args.guildId,
+    decode: ([guildId]) => ({ guildId }),
+    async load(config) {
+      const cars = await findCars(config);
+      return { items: cars.filter(car => getDaysLeft(car.expiryDate) <= config.alertThreshold && !isAlertSilenced(car)) };
+    },
+    buildEmbed({ config, chunk, items, page, pageCount }) {
+      const embed = new EmbedBuilder()
+        .setTitle('🚨 INSURANCE EXPIRY ALERT')
+        .setColor(0xFF0000)
+        .setDescription(items.length
+          ? `**${items.length} CAR${items.length > 1 ? 'S' : ''} NEED ATTENTION!**`
+          : '**No cars need immediate attention**')
+        .setFooter({
+          text: `Page ${page + 1} of ${pageCount} • ${moment().tz('Asia/Kolkata').format('DD MMM YYYY hh:mm A')}`,
+          iconURL: 'https://i.imgur.com/7X8CQyG.png'
+        });
+      chunk.forEach(car => embed.addFields(formatCarField(car, config)));
+      return embed;
+    }
   }
-];
+};
 
-// Start Bot
-client.login(process.env.DISCORD_BOT_TOKEN)
-  .then(() => Logger.startup('Bot is now running'))
-  .catch(err => {
-    Logger.error(`Login failed: ${err.message}`, 'STARTUP');
-    process.exit(1);
-  });
+function buildPagerRow(viewName, page, pageCount, encodedArgs) {
+  const button = (id, label, targetPage, disabled, style = ButtonStyle.Secondary) => new ButtonBuilder()
+    .setCustomId(`page:${viewName}:${id}:${targetPage}:${encodedArgs}`)
+    .setLabel(label)
+    .setStyle(style)
+    .setDisabled(disabled);
 
-// Process termination handlers
-process.on('SIGTERM', () => {
-  Logger.log('Received SIGTERM - Shutting down gracefully', 'info');
-  client.destroy();
-  mongoose.connection.close();
-  process.exit(0);
-});
+  return new ActionRowBuilder().addComponents(
+    button('f', '⏮', 0, page === 0),
+    button('p', '◀ Previous', page - 1, page === 0),
+    button('c', `${page + 1} / ${pageCount}`, page, true),
+    button('n', 'Next ▶', page + 1, page >= pageCount - 1, ButtonStyle.Primary),
+    button('l', '⏭', pageCount - 1, page >= pageCount - 1)
+  );
+}
 
-process.on('SIGINT', () => {
-  Logger.log('Received SIGINT - Shutting down gracefully', 'info');
-  client.destroy();
-  mongoose.connection.close();
-  process.exit(0);
-});
+// Renders one page of a view as message options ({ embeds, components })
+async function renderView(viewName, guildId, args, page = 0) {
+  const view = PAGINATED_VIEWS[viewName];
+  const config = await getGuildConfig(guildId);
+  const { items, ...context } = await view.load(config, args);
 
-process.on('unhandledRejection', (err) => {
-  Logger.error(`Unhandled rejection: ${err.message}`, 'UNHANDLED REJECTION');
-});
+  const chunks = chunkArray([...items], 10);
+  const pageCount = Math.max(chunks.length, 1);
+  const currentPage = Math.max(0, Math.min(page, pageCount - 1));
+  const encodedArgs = view.encode(args);
 
-process.on('uncaughtException', (err) => {
-  Logger.error(`Uncaught exception: ${err.message}`, 'UNCAUGHT EXCEPTION');
-  process.exit(1);
-});
+  const embed = view.buildEmbed({ config, args, items, chunk: chunks[currentPage] || [], page: currentPage, pageCount, ...context });
+  const components = view.buildComponents ? view.buildComponents({ config, args, encodedArgs, chunk: chunks[currentPage] || [], page: currentPage }) : [];
+  if (pageCount > 1) components.push(buildPagerRow(viewName, currentPage, pageCount, encodedArgs));
+
+  return { embeds: [embed], components, itemCount: items.length, pageCount };
+}
+
+async function replyWithView(interaction, viewName, args) {
+  const { itemCount, pageCount, ...message } = await renderView(viewName, interaction.guildId, args);
+  await interaction.reply({ ...message, ephemeral: true });
+  return { itemCount, pageCount };
+}
+
+async function handlePageInteraction(interaction) {
+  const [, viewName, button, page, ...encodedArgs] = interaction.customId.split(':');
+  const view = PAGINATED_VIEWS[viewName];
+  if (!view) return;
+
+  const args = view.decode(encodedArgs);
+  const guildId = interaction.guildId || args.guildId;
+
+  if (view.action && interaction.inGuild()) {
+    const config = await getGuildConfig(guildId);
+    if (!hasPermission(interaction.member, config, view.action)) {
+      await interaction.reply({ content: '⛔ ACCESS DENIED: You lack required permissions', ephemeral: true });
+      return;
+    }
+  }
+
+  // The status select menu swaps the list filter and goes back to the first page
+  if (button === 's') args.status = interaction.values[0];
+
+  const { itemCount, pageCount, ...message } = await renderView(viewName, guildId, args, Number(page));
+  await interaction.update(message);
+}
+
+async function handleHistory(interaction) {
+  const numberPlate = interaction.options.getString('number_plate');
+
+  try {
+    const eventCount = await InsuranceEvent.countDocuments({ guildId: interaction.guildId, numberPlate });
+
+    if (eventCount === 0) {
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('📭 NO HISTORY FOUND')
+          .setColor(0x7289DA)
+          .setDescription(`No recorded changes for:\n**${numberPlate}**`)
+          .setFooter({ text: 'Changes are recorded from the moment auditing was enabled' })
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    await replyWithView(interaction, 'history', { numberPlate });
+    Logger.log(`History for ${numberPlate} viewed by ${interaction.user.tag} (${eventCount} events)`, 'info');
+  } catch (err) {
+    Logger.error(`History error: ${err.message}`, 'HISTORY');
+    throw err;
+  }
+}
+
+async function handleAudit(interaction) {
+  const user = interaction.options.getUser('user');
+
+  try {
+    const eventCount = await InsuranceEvent.countDocuments({ guildId: interaction.guildId, actorId: user.id });
+
+    if (eventCount === 0) {
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('📭 NO CHANGES FOUND')
+          .setColor(0x7289DA)
+          .setDescription(`${user} has not changed any insurance records`)
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    await replyWithView(interaction, 'audit', { userId: user.id });
+    Logger.log(`Audit for ${user.tag} viewed by ${interaction.user.tag} (${eventCount} events)`, 'info');
+  } catch (err) {
+    Logger.error(`Audit error: ${err.message}`, 'AUDIT');
+    throw err;
+  }
+}
+
+async function handleAssignOwner(interaction) {
+  const numberPlate = interaction.options.getString('number_plate');
+  const owner = interaction.options.getUser('owner');
+
+  try {
+    const car = await CarInsurance.findOne({ guildId: interaction.guildId, numberPlate });
+    if (!car) {
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('❌ RECORD NOT FOUND')
+          .setColor(0xFF0000)
+          .setDescription(`No insurance found for:\n**${numberPlate}**`)
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    const previousOwnerId = car.ownerId;
+    car.ownerId = owner ? owner.id : undefined;
+    car.lastUpdated = new Date();
+    await car.save();
+    await recordEvent('assign_owner', car, interaction.user, { ownerId: car.ownerId });
+    Logger.database(`Owner of ${car.carName} (${numberPlate}) set to ${owner ? owner.tag : 'nobody'} by ${interaction.user.tag}`, 'UPDATE');
+
+    await interaction.reply({
+      embeds: [new EmbedBuilder()
+        .setTitle('🔑 OWNER UPDATED')
+        .setColor(0x00FF00)
+        .addFields(
+          { name: '🚗 Car Name', value: car.carName, inline: true },
+          { name: '🔢 Number Plate', value: numberPlate, inline: true },
+          { name: '🔑 Previous Owner', value: previousOwnerId ? `<@${previousOwnerId}>` : 'None', inline: true },
+          { name: '🔑 New Owner', value: owner ? `${owner}` : 'None', inline: true },
+          { name: '👤 Updated By', value: interaction.user.tag, inline: true }
+        )
+        .setFooter({ text: owner ? 'The owner will be DMed as the insurance approaches expiry' : 'Owner cleared' })
+      ]
+    });
+  } catch (err) {
+    Logger.error(`Assign owner error: ${err.message}`, 'ASSIGN OWNER');
+    throw err;
+  }
+}
+
+// Option name for each detail that /edit_car_insurance can clear
+const CLEARABLE_FIELDS = {
+  category: 'category',
+  garage: 'garage',
+  policy_number: 'policyNumber',
+  notes: 'notes',
+  renewal_cost: 'renewalCost',
+  image_url: 'imageUrl',
+  image: 'imageMessageLink'
+};
+
+async function handleEditCarInsurance(interaction, config) {
+  const numberPlate = interaction.options.getString('number_plate');
+  const carName = interaction.options.getString('car_name');
+  const newPlate = interaction.options.getString('new_plate');
+  const clear = interaction.options.getString('clear');
+
+  if (numberPlate.startsWith('new_car_')) {
+    const unregisteredPlate = numberPlate.replace('new_car_', '');
+    await interaction.reply({
+      embeds: [new EmbedBuilder()
+        .setTitle('🚫 CAR NOT FOUND')
+        .setColor(0xFFA500)
+        .setDescription(`Use \`/new_car_insurance\` to register:\n**${unregisteredPlate}**`)
+      ],
+      ephemeral: true
+    });
+    return;
+  }
+
+  try {
+    const { details, problems, image } = readCarDetailOptions(interaction);
+    if (carName !== null && carName.trim()) details.carName = carName.trim();
+    if (newPlate !== null) {
+      if (!PLATE_PATTERN.test(newPlate)) problems.push(`**${newPlate}** is not a valid plate (2-15 letters, digits or hyphens)`);
+      else details.numberPlate = newPlate;
+    }
+    if (clear) {
+      if (CLEARABLE_FIELDS[clear] in details || (image && clear.startsWith('image'))) problems.push(`Cannot set and clear **${clear}** at the same time`);
+      else details[CLEARABLE_FIELDS[clear]] = undefined;
+    }
+    if (problems.length > 0) {
+      await replyInvalidDetails(interaction, problems);
+      return;
+    }
+
+    const car = await CarInsurance.findOne({ guildId: interaction.guildId, numberPlate });
+    if (!car) {
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('❌ RECORD NOT FOUND')
+          .setColor(0xFF0000)
+          .setDescription(`No insurance found for:\n**${numberPlate}**`)
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    // With nothing else given, edit the record in a pre-filled modal
+    if (Object.keys(details).length === 0 && !image) {
+      await interaction.showModal(buildEditModal(car));
+      return;
+    }
+
+    if (!await storeCarPhoto(interaction, config, details, image)) return;
+    await saveCarEdits(interaction, car, details, config);
+  } catch (err) {
+    Logger.error(`Edit insurance error: ${err.message}`, 'EDIT INSURANCE');
+    throw err;
+  }
+}
+
+// Saves detail edits and plate renames and records them; a renamed plate takes the car's history with it.
+// Returns { changedFields, oldPlate, renamed }, or { duplicate: true } when the new plate is already taken
+async function applyCarEdits(car, changes, user) {
+  const changedFields = Object.keys(changes).filter(field => (car[field] ?? null) !== (changes[field] ?? null));
+  const oldPlate = car.numberPlate;
+  const renamed = changedFields.includes('numberPlate');
+  if (changedFields.length === 0) return { changedFields, oldPlate, renamed };
+
+  if (renamed && await CarInsurance.exists({ guildId: car.guildId, numberPlate: changes.numberPlate })) {
+    return { duplicate: true };
+  }
+
+  changedFields.forEach(field => car.set(field, changes[field]));
+  car.lastUpdated = new Date();
+
+  if (renamed) {
+    // The record and its past events move to the new plate together
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await car.save({ session });
+        await InsuranceEvent.updateMany(
+          { guildId: car.guildId, numberPlate: oldPlate },
+          { $set: { numberPlate: car.numberPlate } },
+          { session }
+        );
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return { duplicate: true };
+    } finally {
+      await session.endSession();
+    }
+    await recordEvent('rename', car, user, { previousPlate: oldPlate });
+  } else {
+    await car.save();
+  }
+
+  const detailFields = changedFields.filter(field => field !== 'numberPlate');
+  if (detailFields.length > 0) await recordEvent('edit', car, user, { changedFields: detailFields });
+  Logger.database(`Insurance details edited: ${car.carName} (${oldPlate}${renamed ? ` → ${car.numberPlate}` : ''}) [${changedFields.join(', ')}] by ${user.tag}`, 'UPDATE');
+  return { changedFields, oldPlate, renamed };
+}
+
+// Applies edits from /edit_car_insurance and the edit modal
+async function saveCarEdits(interaction, car, changes, config) {
+  const { changedFields, oldPlate, renamed, duplicate } = await applyCarEdits(car, changes, interaction.user);
+  if (duplicate) {
+    await interaction.reply({
+      embeds: [new EmbedBuilder()
+        .setTitle('❌ DUPLICATE ENTRY')
+        .setColor(0xFF0000)
+        .setDescription(`Number plate **${changes.numberPlate}** already exists`)
+        .addFields({ name: 'Existing Entry', value: 'Check `/list_car_insurance`', inline: true })
+      ],
+      ephemeral: true
+    });
+    return;
+  }
+  if (changedFields.length === 0) {
+    await interaction.reply({ content: `ℹ️ **${car.carName}** (${car.numberPlate}) already has these details`, ephemeral: true });
+    return;
+  }
+
+  const detailFields = changedFields.filter(field => field !== 'numberPlate');
+  const embed = new EmbedBuilder()
+    .setTitle('✏️ VEHICLE UPDATED')
+    .setColor(0x00FF00)
+    .setDescription([
+      renamed ? `Plate changed from **${oldPlate}** to **${car.numberPlate}**, history kept` : null,
+      detailFields.length ? `Changed: ${detailFields.map(field => `**${field}**`).join(', ')}` : null
+    ].filter(Boolean).join('\n'))
+    .addFields(formatCarField(car, config))
+    .setFooter({ text: `Updated by ${interaction.user.tag}` });
+  const photoUrl = await fetchCarPhotoUrl(car);
+  if (photoUrl) embed.setImage(photoUrl);
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+// Discord rejects empty pre-filled values, so blank fields are left unset
+function buildTextInput(customId, label, { value, required = false, maxLength, style = TextInputStyle.Short, placeholder } = {}) {
+  const input = new TextInputBuilder()
+    .setCustomId(customId)
+    .setLabel(label)
+    .setStyle(style)
+    .setRequired(required);
+  if (maxLength) input.setMaxLength(maxLength);
+  if (placeholder) input.setPlaceholder(placeholder);
+  if (value !== undefined && value !== null && String(value) !== '') input.setValue(String(value));
+  return new ActionRowBuilder().addComponents(input);
+}
+
+function buildEditModal(car) {
+  return new ModalBuilder()
+    .setCustomId(`edit_modal:${car.numberPlate}`)
+    .setTitle(`Edit ${car.numberPlate}`)
+    .addComponents(
+      buildTextInput('car_name', 'Car name', { value: car.carName, required: true, maxLength: 100 }),
+      buildTextInput('number_plate', 'Number plate', { value: car.numberPlate, required: true, maxLength: 15 }),
+      buildTextInput('category', 'Category (car, bike, heli or boat)', { value: car.category, maxLength: 10 }),
+      buildTextInput('garage', 'Garage', { value: car.garage, maxLength: 50 }),
+      buildTextInput('notes', 'Notes', { value: car.notes, maxLength: 500, style: TextInputStyle.Paragraph })
+    );
+}
+
+// Checks the modal fields shared by registration and editing; blank optional fields come back undefined
+function readCarModalFields(interaction, fieldNames) {
+  const values = {};
+  const problems = [];
+  const read = name => fieldNames.includes(name) ? interaction.fields.getTextInputValue(name).trim() : '';
+
+  const carName = read('car_name');
+  if (!carName) problems.push('Car name cannot be empty');
+  else values.carName = carName;
+
+  const numberPlate = read('number_plate');
+  if (!PLATE_PATTERN.test(numberPlate)) problems.push(`**${numberPlate || '(empty)'}** is not a valid plate (2-15 letters, digits or hyphens, e.g. MH01-AB-1234)`);
+  else values.numberPlate = numberPlate;
+
+  const category = read('category').toLowerCase();
+  if (category && !Object.hasOwn(CAR_CATEGORIES, category)) problems.push(`**${category}** is not a category (${Object.keys(CAR_CATEGORIES).join(', ')})`);
+  else values.category = category || undefined;
+
+  if (fieldNames.includes('garage')) values.garage = read('garage') || undefined;
+  values.notes = read('notes') || undefined;
+
+  return { values, problems };
+}
+
+async function handleCarModal(interaction, config) {
+  if (!hasPermission(interaction.member, config, 'create')) {
+    await interaction.reply({ content: '⛔ ACCESS DENIED: You lack required permissions', ephemeral: true });
+    return;
+  }
+
+  const [kind, key] = interaction.customId.split(':');
+
+  if (kind === 'edit_modal') {
+    const car = await CarInsurance.findOne({ guildId: interaction.guildId, numberPlate: key });
+    if (!car) {
+      await interaction.reply({ content: `❌ **${key}** is no longer registered`, ephemeral: true });
+      return;
+    }
+
+    const { values, problems } = readCarModalFields(interaction, ['car_name', 'number_plate', 'category', 'garage', 'notes']);
+    if (problems.length > 0) {
+      await replyInvalidDetails(interaction, problems);
+      return;
+    }
+    await saveCarEdits(interaction, car, values, config);
+    return;
+  }
+
+  // Registration: options given alongside the slash command wait in a pending action
+  const pending = await PendingAction.findOne({ _id: key, type: 'new_car', userId: interaction.user.id });
+  if (!pending) {
+    await interaction.reply({ content: '⏲️ This registration form has expired. Run `/new_car_insurance` again.', ephemeral: true });
+    return;
+  }
+
+  const { values, problems } = readCarModalFields(interaction, ['car_name', 'number_plate', 'expiry', 'category', 'notes']);
+  const { expiryDate, problem: expiryProblem } = parseExpiryText(interaction.fields.getTextInputValue('expiry'));
+  if (expiryProblem) problems.push(expiryProblem);
+
+  if (problems.length > 0) {
+    await replyInvalidDetails(interaction, problems);
+    return;
+  }
+
+  const { ownerId, details, amount, image } = pending.payload;
+  const { carName, numberPlate, ...modalDetails } = values;
+  Object.keys(modalDetails).forEach(field => modalDetails[field] === undefined && delete modalDetails[field]);
+
+  await pending.deleteOne();
+  await registerCar(interaction, config, { carName, numberPlate, expiryDate, ownerId, details: { ...details, ...modalDetails }, amount, image });
+}
+
+async function handleEditButton(interaction, config) {
+  if (!hasPermission(interaction.member, config, 'create')) {
+    await interaction.reply({ content: '⛔ ACCESS DENIED: You lack required permissions', ephemeral: true });
+    return;
+  }
+
+  const [, numberPlate] = interaction.customId.split(':');
+  const car = await CarInsurance.findOne({ guildId: interaction.guildId, numberPlate });
+  if (!car) {
+    await interaction.reply({ content: `❌ **${numberPlate}** is no longer registered`, ephemeral: true });
+    return;
+  }
+  await interaction.showModal(buildEditModal(car));
+}
+
+async function handleAutoRenew(interaction, config) {
+  const subcommand = interaction.options.getSubcommand();
+
+  try {
+    if (subcommand === 'list') {
+      const cars = await CarInsurance.find({ guildId: interaction.guildId, 'autoRenew.enabled': true }).sort({ expiryDate: 1 });
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('♻️ AUTO-RENEW RULES')
+          .setColor(cars.length ? 0x1E90FF : 0x7289DA)
+          .setDescription(cars.length
+            ? formatImportList(cars.map(car =>
+              `**${car.numberPlate}** ${car.carName} • every ${car.autoRenew.days}d` +
+              `${car.autoRenew.cost != null ? ` • ${formatMoney(car.autoRenew.cost)}` : ''} • next ${moment(car.expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY')}`
+            ))
+            : 'No vehicles renew automatically')
+          .setFooter({ text: `Renewals run with the daily update at ${config.dailyRunTime} IST` })
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    const numberPlate = interaction.options.getString('number_plate');
+    const car = await CarInsurance.findOne({ guildId: interaction.guildId, numberPlate });
+    if (!car) {
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('❌ RECORD NOT FOUND')
+          .setColor(0xFF0000)
+          .setDescription(`No insurance found for:\n**${numberPlate.replace(/^new_car_/, '')}**`)
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    let change;
+    if (subcommand === 'enable') {
+      const days = interaction.options.getInteger('days');
+      const cost = interaction.options.getNumber('cost');
+      car.autoRenew = { enabled: true, days, cost: cost ?? undefined, updatedBy: interaction.user.tag };
+      change = `renews for **${days}** days${cost !== null ? ` at ${formatMoney(cost)}` : ''} whenever it expires`;
+    } else {
+      if (!car.autoRenew?.enabled) {
+        await interaction.reply({ content: `ℹ️ **${car.carName}** (${numberPlate}) does not auto-renew`, ephemeral: true });
+        return;
+      }
+      car.autoRenew = { enabled: false, updatedBy: interaction.user.tag };
+      change = 'no longer renews automatically';
+    }
+
+    car.lastUpdated = new Date();
+    await car.save();
+    await recordEvent('edit', car, interaction.user, { changedFields: ['autoRenew'] });
+    Logger.database(`Auto-renew ${subcommand}d for ${car.carName} (${numberPlate}) by ${interaction.user.tag}`, 'UPDATE');
+
+    await interaction.reply({
+      embeds: [new EmbedBuilder()
+        .setTitle(subcommand === 'enable' ? '♻️ AUTO-RENEW ENABLED' : '⏹️ AUTO-RENEW DISABLED')
+        .setColor(subcommand === 'enable' ? 0x00FF00 : 0xFFA500)
+        .setDescription(`**${car.carName}** (${numberPlate}) ${change}`)
+        .setFooter({ text: `Changed by ${interaction.user.tag}` })
+      ]
+    });
+  } catch (err) {
+    Logger.error(`Auto-renew error: ${err.message}`, 'AUTO RENEW');
+    throw err;
+  }
+}
+
+const JOB_STATUS_EMOJI = { running: '⏳', success: '✅', failed: '❌' };
+
+function formatJobRun(run) {
+  const parts = [
+    `${JOB_STATUS_EMOJI[run.status] || '❔'} **${JOBS[run.job]?.label || run.job}** ${run.runDate}`,
+    run.trigger === 'schedule' ? 'scheduled' : run.trigger.replace('_', '-') + (run.triggeredBy ? ` by ${run.triggeredBy}` : ''),
+    moment(run.startedAt).tz('Asia/Kolkata').format('hh:mm A')
+  ];
+  if (run.durationMs != null) parts.push(`${(run.durationMs / 1000).toFixed(1)}s`);
+  if (run.attempts > 1) parts.push(`attempt ${run.attempts}`);
+  if (run.status === 'success' && run.result) parts.push(Object.entries(run.result).map(([key, value]) => `${key} ${value}`).join(', '));
+  if (run.status === 'failed') parts.push(`error: ${run.error}`);
+  return parts.join(' • ');
+}
+
+async function handleJobs(interaction, config) {
+  const subcommand = interaction.options.getSubcommand();
+
+  try {
+    if (subcommand === 'list') {
+      const runs = await JobRun.find({ guildId: interaction.guildId }).sort({ startedAt: -1 }).limit(15);
+      const nextRuns = Object.keys(JOBS).map(jobName => {
+        let next = getJobTime(config, jobName);
+        if (next.isBefore(moment())) next = getJobTime(config, jobName, moment().tz('Asia/Kolkata').add(1, 'day'));
+        return `**${JOBS[jobName].label}**: ${next.format('DD MMM hh:mm A')}`;
+      });
+
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('🗓️ SCHEDULED JOBS')
+          .setColor(runs.some(run => run.status === 'failed') ? 0xFFA500 : 0x1E90FF)
+          .addFields(
+            { name: '⏭️ Next Runs (IST)', value: nextRuns.join('\n'), inline: false },
+            { name: '📜 Recent Runs', value: formatImportList(runs.map(formatJobRun)), inline: false }
+          )
+          .setFooter({ text: 'Each job runs once per day; use /jobs run to retry one' })
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    const jobName = interaction.options.getString('job');
+    await interaction.deferReply({ ephemeral: true });
+    const run = await runJob(interaction.guildId, jobName, { trigger: 'manual', actor: interaction.user });
+
+    if (!run) {
+      await interaction.editReply({ content: `⏳ **${JOBS[jobName].label}** is already running for today. Try again once it finishes.` });
+      return;
+    }
+    await interaction.editReply({
+      embeds: [new EmbedBuilder()
+        .setTitle(run.status === 'success' ? '✅ JOB COMPLETE' : '❌ JOB FAILED')
+        .setColor(run.status === 'success' ? 0x00FF00 : 0xFF0000)
+        .setDescription(formatJobRun(run))
+      ]
+    });
+  } catch (err) {
+    Logger.error(`Jobs command error: ${err.message}`, 'JOBS');
+    throw err;
+  }
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+async function handleApiKeys(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  try {
+    if (subcommand === 'list') {
+      const keys = await ApiKey.find({ guildId: interaction.guildId }).sort({ createdAt: 1 });
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('🔑 API KEYS')
+          .setColor(0x1E90FF)
+          .setDescription(keys.length ? keys.map(key => [
+            `**${key.name}** \`${key.prefix}…\` • ${key.access}`,
+            `Created by ${key.createdBy} on ${moment(key.createdAt).tz('Asia/Kolkata').format('DD MMM YYYY')}`,
+            `Last used: ${key.lastUsedAt ? moment(key.lastUsedAt).tz('Asia/Kolkata').format('DD MMM YYYY hh:mm A') : 'never'}`
+          ].join('\n')).join('\n\n') : 'No API keys yet. Create one with `/api_keys create`.')
+          .setFooter({ text: 'Send keys as "Authorization: Bearer <key>" to /api/v1' })
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    const name = interaction.options.getString('name').trim();
+
+    if (subcommand === 'revoke') {
+      const key = await ApiKey.findOneAndDelete({ guildId: interaction.guildId, name });
+      if (!key) {
+        await interaction.reply({ content: `❌ No API key named **${name}**`, ephemeral: true });
+        return;
+      }
+      Logger.database(`API key ${name} revoked for guild ${interaction.guildId} by ${interaction.user.tag}`, 'DELETE');
+      await interaction.reply({ content: `🗑️ API key **${name}** (\`${key.prefix}…\`) revoked`, ephemeral: true });
+      return;
+    }
+
+    const access = interaction.options.getString('access') || 'read';
+    const key = `ik_${crypto.randomBytes(24).toString('base64url')}`;
+    try {
+      await ApiKey.create({
+        guildId: interaction.guildId,
+        name,
+        keyHash: hashApiKey(key),
+        prefix: key.slice(0, 8),
+        access,
+        createdBy: interaction.user.tag
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      await interaction.reply({ content: `❌ An API key named **${name}** already exists`, ephemeral: true });
+      return;
+    }
+    Logger.database(`API key ${name} (${access}) created for guild ${interaction.guildId} by ${interaction.user.tag}`, 'INSERT');
+
+    await interaction.reply({
+      embeds: [new EmbedBuilder()
+        .setTitle('🔑 API KEY CREATED')
+        .setColor(0x00FF00)
+        .setDescription(`\`\`\`${key}\`\`\`Copy it now: it is stored hashed and cannot be shown again.`)
+        .addFields(
+          { name: 'Name', value: name, inline: true },
+          { name: 'Access', value: access === 'write' ? 'Read and write' : 'Read only', inline: true }
+        )
+        .setFooter({ text: 'Send it as "Authorization: Bearer <key>" to /api/v1' })
+      ],
+      ephemeral: true
+    });
+  } catch (err) {
+    Logger.error(`API keys command error: ${err.message}`, 'API KEYS');
+    throw err;
+  }
+}
+
+const DELIVERY_STATUS_EMOJI = { pending: '⏳', success: '✅', failed: '❌' };
+
+function formatWebhookDelivery(delivery) {
+  const parts = [
+    `${DELIVERY_STATUS_EMOJI[delivery.status]} **${delivery.webhookName}** ${delivery.event}`,
+    delivery.payload.car?.numberPlate,
+    moment(delivery.createdAt).tz('Asia/Kolkata').format('DD MMM hh:mm A'),
+    delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : null,
+    delivery.attempts > 1 ? `${delivery.attempts} attempts` : null,
+    delivery.status === 'pending' && delivery.nextAttemptAt ? `retry ${moment(delivery.nextAttemptAt).tz('Asia/Kolkata').format('hh:mm A')}` : null,
+    delivery.status !== 'success' && delivery.error ? `error: ${delivery.error}` : null
+  ];
+  return parts.filter(Boolean).join(' • ');
+}
+
+// "create, extend" or "all" (the default); returns { events } or { problem }
+function parseWebhookEvents(input) {
+  const names = (input || 'all').toLowerCase().split(/[\s,]+/).filter(Boolean);
+  if (names.includes('all')) return { events: Object.keys(WEBHOOK_EVENTS) };
+  const unknown = names.filter(name => !Object.hasOwn(WEBHOOK_EVENTS, name));
+  if (unknown.length > 0) return { problem: `Unknown event${unknown.length > 1 ? 's' : ''} **${unknown.join(', ')}**. Use ${Object.keys(WEBHOOK_EVENTS).join(', ')} or all` };
+  return { events: [...new Set(names)] };
+}
+
+async function handleWebhooks(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+  const name = interaction.options.getString('name')?.trim();
+
+  try {
+    if (subcommand === 'list') {
+      const webhooks = await Webhook.find({ guildId: interaction.guildId }).sort({ createdAt: 1 });
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('🪝 WEBHOOKS')
+          .setColor(0x1E90FF)
+          .setDescription(webhooks.length ? webhooks.map(webhook => [
+            `**${webhook.name}** → ${webhook.url}`,
+            `Events: ${webhook.events.join(', ')} • added by ${webhook.createdBy}`
+          ].join('\n')).join('\n\n') : 'No webhooks yet. Add one with `/webhooks add`.')
+          .setFooter({ text: 'Payloads are signed with HMAC-SHA256 over "<timestamp>.<body>"' })
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (subcommand === 'log') {
+      const query = { guildId: interaction.guildId };
+      if (name) {
+        const webhook = await Webhook.findOne({ guildId: interaction.guildId, name });
+        if (!webhook) {
+          await interaction.reply({ content: `❌ No webhook named **${name}**`, ephemeral: true });
+          return;
+        }
+        query.webhookId = webhook._id;
+      }
+      const deliveries = await WebhookDelivery.find(query).sort({ createdAt: -1 }).limit(15);
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('📬 WEBHOOK DELIVERIES')
+          .setColor(deliveries.some(delivery => delivery.status === 'failed') ? 0xFFA500 : 0x1E90FF)
+          .setDescription(deliveries.length ? formatImportList(deliveries.map(formatWebhookDelivery)) : 'No deliveries yet')
+          .setFooter({ text: `Deliveries are kept for ${WEBHOOK_LOG_DAYS} days` })
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (subcommand === 'add') {
+      const url = interaction.options.getString('url').trim();
+      const { events, problem } = parseWebhookEvents(interaction.options.getString('events'));
+      const problems = [problem, await getWebhookUrlProblem(url)];
+      if (await Webhook.countDocuments({ guildId: interaction.guildId }) >= MAX_WEBHOOKS_PER_GUILD) problems.push(`A server can have at most ${MAX_WEBHOOKS_PER_GUILD} webhooks`);
+      if (problems.some(Boolean)) {
+        await interaction.reply({
+          embeds: [new EmbedBuilder()
+            .setTitle('❌ INVALID WEBHOOK')
+            .setColor(0xFF0000)
+            .setDescription(problems.filter(Boolean).join('\n'))
+          ],
+          ephemeral: true
+        });
+        return;
+      }
+
+      const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+      try {
+        await Webhook.create({ guildId: interaction.guildId, name, url, secret, events, createdBy: interaction.user.tag });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        await interaction.reply({ content: `❌ A webhook named **${name}** already exists`, ephemeral: true });
+        return;
+      }
+      Logger.database(`Webhook ${name} added for guild ${interaction.guildId} by ${interaction.user.tag}`, 'INSERT');
+
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('🪝 WEBHOOK ADDED')
+          .setColor(0x00FF00)
+          .setDescription(`Signing secret:\`\`\`${secret}\`\`\`Copy it now; it is not shown again. Verify the \`X-Webhook-Signature\` header (\`sha256=<hex>\`) against HMAC-SHA256 of \`<X-Webhook-Timestamp>.<raw body>\`.`)
+          .addFields(
+            { name: 'Name', value: name, inline: true },
+            { name: 'URL', value: url, inline: true },
+            { name: 'Events', value: events.map(event => `${event} (${WEBHOOK_EVENTS[event]})`).join('\n'), inline: false }
+          )
+          .setFooter({ text: 'Send a sample payload with /webhooks test' })
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    const webhook = await Webhook.findOne({ guildId: interaction.guildId, name });
+    if (!webhook) {
+      await interaction.reply({ content: `❌ No webhook named **${name}**`, ephemeral: true });
+      return;
+    }
+
+    if (subcommand === 'remove') {
+      await webhook.deleteOne();
+      Logger.database(`Webhook ${name} removed for guild ${interaction.guildId} by ${interaction.user.tag}`, 'DELETE');
+      await interaction.reply({ content: `🗑️ Webhook **${name}** removed; pending retries to it are dropped`, ephemeral: true });
+      return;
+    }
+
+    // test
+    await interaction.deferReply({ ephemeral: true });
+    const queued = await queueWebhookDelivery(webhook, 'test', {
+      actor: { id: interaction.user.id, tag: interaction.user.tag },
+      message: 'Test delivery from /webhooks test'
+    });
+    // The retry sweep may have claimed the delivery first; its record then shows the outcome so far
+    const delivery = await attemptWebhookDelivery(queued._id) ?? await WebhookDelivery.findById(queued._id);
+    await interaction.editReply({
+      embeds: [new EmbedBuilder()
+        .setTitle({ success: '✅ TEST DELIVERED', failed: '❌ TEST FAILED', pending: '⏳ TEST IN PROGRESS' }[delivery.status])
+        .setColor({ success: 0x00FF00, failed: 0xFF0000, pending: 0xFFA500 }[delivery.status])
+        .setDescription(formatWebhookDelivery(delivery))
+      ]
+    });
+  } catch (err) {
+    Logger.error(`Webhooks command error: ${err.message}`, 'WEBHOOKS');
+    throw err;
+  }
+}
+
+// Base URL of the Express server as seen from outside, for links sent to members
+function getPublicUrl() {
+  const url = process.env.PUBLIC_URL || process.env.DASHBOARD_URL;
+  return url ? url.replace(/\/+$/, '') : null;
+}
+
+async function handleCalendarLink(interaction, config) {
+  const scope = interaction.options.getString('scope') || 'owner';
+  const alarmDays = interaction.options.getInteger('alarm_days');
+  const reset = interaction.options.getBoolean('reset') || false;
+
+  try {
+    const publicUrl = getPublicUrl();
+    if (!publicUrl) {
+      await interaction.reply({ content: '❌ Calendar feeds are not available: the server has no PUBLIC_URL configured', ephemeral: true });
+      Logger.error('PUBLIC_URL is not set, calendar link not sent', 'CALENDAR');
+      return;
+    }
+    if (scope === 'guild' && !hasPermission(interaction.member, config, 'view')) {
+      await interaction.reply({ content: '⛔ ACCESS DENIED: The fleet calendar needs the view permission. Use `scope: My vehicles` instead.', ephemeral: true });
+      return;
+    }
+
+    const key = { guildId: interaction.guildId, userId: interaction.user.id, scope };
+    let feed = await CalendarFeed.findOne(key);
+    if (!feed) feed = new CalendarFeed({ ...key, token: `cal_${crypto.randomBytes(24).toString('base64url')}` });
+    else if (reset) feed.token = `cal_${crypto.randomBytes(24).toString('base64url')}`;
+    if (alarmDays !== null) feed.alarmDays = alarmDays;
+    await feed.save();
+
+    const url = `${publicUrl}/calendar/${feed.token}.ics`;
+    const embed = new EmbedBuilder()
+      .setTitle('📅 INSURANCE CALENDAR')
+      .setColor(0x1E90FF)
+      .setDescription([
+        `Subscribe to this link in Google Calendar, Outlook or Apple Calendar:\n${url}`,
+        '',
+        `Covers: **${scope === 'guild' ? `every vehicle in ${interaction.guild.name}` : `your vehicles in ${interaction.guild.name}`}**`,
+        `Reminder: **${feed.alarmDays === 0 ? 'on the expiry day' : `${feed.alarmDays} day${feed.alarmDays === 1 ? '' : 's'} before`}** at 09:00 IST`,
+        '',
+        'Anyone with the link can read the calendar. Run `/calendar_link reset:True` to replace it.'
+      ].join('\n'))
+      .setFooter({ text: reset ? 'The previous link no longer works' : 'Calendar apps refresh subscriptions every few hours' });
+
+    try {
+      await interaction.user.send({ embeds: [embed] });
+      await interaction.reply({ content: '📬 Calendar link sent to your DMs', ephemeral: true });
+    } catch (err) {
+      Logger.log(`Could not DM calendar link to ${interaction.user.tag}: ${err.message}`, 'warning');
+      await interaction.reply({ content: '⚠️ Your DMs are closed, so here is the link (only you can see this):', embeds: [embed], ephemeral: true });
+    }
+    Logger.log(`Calendar link (${scope}) ${reset ? 'reset' : 'sent'} for ${interaction.user.tag}`, 'info');
+  } catch (err) {
+    Logger.error(`Calendar link error: ${err.message}`, 'CALENDAR');
+    throw err;
+  }
+}
+
+async function handleMyCars(interaction) {
+  try {
+    const carCount = await CarInsurance.countDocuments({ guildId: interaction.guildId, ownerId: interaction.user.id });
+
+    if (carCount === 0) {
+      await interaction.reply({
+        embeds: [new EmbedBuilder()
+          .setTitle('📭 NO VEHICLES ASSIGNED')
+          .setColor(0x7289DA)
+          .setDescription('No vehicles are assigned to you')
+          .setFooter({ text: 'Ask leadership to run /assign_owner' })
+        ],
+        ephemeral: true
+      });
+      return;
+    }
+
+    await replyWithView(interaction, 'my_cars', { userId: interaction.user.id });
+    Logger.log(`Own vehicles viewed by ${interaction.user.tag} (${carCount} entries)`, 'info');
+  } catch (err) {
+    Logger.error(`My cars error: ${err.message}`, 'MY CARS');
+    throw err;
+  }
+}
+
+function buildConfigEmbed(interaction, config) {
+  const listRoles = roleIds => roleIds.length ? formatRoleMentions(roleIds) : 'None';
+
+  return new EmbedBuilder()
+    .setTitle('⚙️ GUILD CONFIGURATION')
+    .setColor(0x7289DA)
+    .addFields(
+      { name: '📢 Alert Channel', value: config.alertChannelId ? `<#${config.alertChannelId}>` : 'Not set', inline: true },
+      { name: '📷 Photo Channel', value: config.photoChannelId ? `<#${config.photoChannelId}>` : 'Alert channel', inline: true },
+      { name: '⏳ Thresholds', value: `Urgent ≤ ${config.alertThreshold}d • Warning ≤ ${config.warningThreshold}d`, inline: true },
+      { name: '🕒 Daily Run Time', value: `${config.dailyRunTime} IST`, inline: true },
+      { name: '🛡️ Privileged Roles', value: listRoles(config.privilegedRoleIds), inline: false },
+      { name: '🔔 Ping Roles', value: listRoles(config.pingRoleIds), inline: false },
+      {
+        name: '🔐 Permissions',
+        value: PERMISSION_ACTIONS.map(action => {
+          const roleIds = getPermissionRoles(config, action);
+          const roles = roleIds.includes(config.guildId) ? '@everyone' : (roleIds.length ? formatRoleMentions(roleIds) : 'server managers only');
+          return `**${action}**${config.permissions.has(action) ? '' : ' (default)'}: ${roles}`;
+        }).join('\n'),
+        inline: false
+      },
+      {
+        name: '📆 Reminder Stages',
+        value: config.reminderStages.length ? [...config.reminderStages]
+          .sort((a, b) => b.days - a.days)
+          .map(stage => [
+            `**${stage.days}d**${stage.label ? ` ${stage.label}` : ''}`,
+            `#${stage.color.toString(16).padStart(6, '0').toUpperCase()}`,
+            stage.mentionRoleIds.length ? formatRoleMentions(stage.mentionRoleIds) : 'ping roles',
+            stage.channelId ? `<#${stage.channelId}>` : 'alert channel'
+          ].join(' • '))
+          .join('\n') : 'None',
+        inline: false
+      }
+    )
+    .setFooter({ text: config.updatedBy ? `Last changed by ${config.updatedBy} • ${moment(config.lastUpdated).tz('Asia/Kolkata').fromNow()}` : `Guild ${interaction.guildId}` });
+}
+
+async function handleConfig(interaction, config) {
+  const subcommand = interaction.options.getSubcommand();
+
+  try {
+    if (subcommand === 'view') {
+      await interaction.reply({ embeds: [buildConfigEmbed(interaction, config)], ephemeral: true });
+      return;
+    }
+
+    let change;
+    switch (subcommand) {
+      case 'alert_channel': {
+        const channel = interaction.options.getChannel('channel');
+        config.alertChannelId = channel.id;
+        change = `Alert channel set to ${channel}`;
+        break;
+      }
+      case 'photo_channel': {
+        const channel = interaction.options.getChannel('channel');
+        config.photoChannelId = channel.id;
+        change = `Uploaded vehicle photos will be posted in ${channel}`;
+        break;
+      }
+      case 'add_role':
+      case 'remove_role': {
+        const kind = interaction.options.getString('kind');
+        const role = interaction.options.getRole('role');
+        const field = kind === 'ping' ? 'pingRoleIds' : 'privilegedRoleIds';
+        const roleIds = config[field].filter(roleId => roleId !== role.id);
+        if (subcommand === 'add_role') roleIds.push(role.id);
+        config[field] = roleIds;
+        change = `${role} ${subcommand === 'add_role' ? 'added to' : 'removed from'} ${kind} roles`;
+        break;
+      }
+      case 'threshold': {
+        const alertDays = interaction.options.getInteger('days');
+        const warningDays = interaction.options.getInteger('warning_days') ?? config.warningThreshold;
+        // Statuses go expired → urgent → warning, so the warning band can't start inside the urgent one
+        if (alertDays > warningDays) {
+          await interaction.reply({
+            embeds: [new EmbedBuilder()
+              .setTitle('❌ INVALID THRESHOLD')
+              .setColor(0xFF0000)
+              .setDescription('The alert threshold cannot be higher than the warning threshold')
+              .addFields(
+                { name: 'Alert', value: `${alertDays} days`, inline: true },
+                { name: 'Warning', value: `${warningDays} days`, inline: true }
+              )
+            ],
+            ephemeral: true
+          });
+          return;
+        }
+        config.alertThreshold = alertDays;
+        config.warningThreshold = warningDays;
+        change = `Alert threshold set to ${config.alertThreshold} days (warning at ${config.warningThreshold})`;
+        break;
+      }
+      case 'stage_set': {
+        const days = interaction.options.getInteger('days');
+        const colorInput = interaction.options.getString('color');
+        const mentions = interaction.options.getString('mentions');
+        const channel = interaction.options.getChannel('channel');
+
+        if (colorInput && !/^#?[0-9a-f]{6}$/i.test(colorInput)) {
+          await interaction.reply({
+            embeds: [new EmbedBuilder()
+              .setTitle('❌ INVALID COLOR')
+              .setColor(0xFF0000)
+              .setDescription('Please use a 6-digit hex color')
+              .addFields(
+                { name: 'Your Input', value: colorInput, inline: true },
+                { name: 'Example', value: '#FF4500', inline: true }
+              )
+            ],
+            ephemeral: true
+          });
+          return;
+        }
+
+        const existing = config.reminderStages.find(stage => stage.days === days);
+        const stage = {
+          days,
+          label: interaction.options.getString('label') || (existing && existing.label),
+          color: colorInput ? parseInt(colorInput.replace('#', ''), 16) : (existing ? existing.color : 0xFF0000),
+          mentionRoleIds: mentions !== null
+            ? [...mentions.matchAll(/<@&(\d+)>/g)].map(match => match[1])
+            : (existing ? existing.mentionRoleIds : []),
+          channelId: channel ? channel.id : (existing && existing.channelId)
+        };
+        config.reminderStages = [...config.reminderStages.filter(current => current.days !== days), stage];
+        change = `${days}-day reminder stage ${existing ? 'updated' : 'added'}`;
+        break;
+      }
+      case 'permission_add':
+      case 'permission_remove': {
+        const action = interaction.options.getString('action');
+        const role = interaction.options.getRole('role');
+        const roleIds = getPermissionRoles(config, action).filter(roleId => roleId !== role.id);
+        if (subcommand === 'permission_add') roleIds.push(role.id);
+        config.permissions.set(action, roleIds);
+        change = `${role} ${subcommand === 'permission_add' ? 'can now' : 'can no longer'} use **${action}** commands`;
+        break;
+      }
+      case 'permission_reset': {
+        const action = interaction.options.getString('action');
+        config.permissions.delete(action);
+        change = `**${action}** permission reset to its default`;
+        break;
+      }
+      case 'stage_remove': {
+        const days = interaction.options.getInteger('days');
+        if (!config.reminderStages.some(stage => stage.days === days)) {
+          await interaction.reply({
+            content: `❌ No ${days}-day reminder stage is configured`,
+            ephemeral: true
+          });
+          return;
+        }
+        config.reminderStages = config.reminderStages.filter(stage => stage.days !== days);
+        change = `${days}-day reminder stage removed`;
+        break;
+      }
+      case 'run_time': {
+        const time = interaction.options.getString('time');
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+          await interaction.reply({
+            embeds: [new EmbedBuilder()
+              .setTitle('❌ INVALID TIME')
+              .setColor(0xFF0000)
+              .setDescription('Please use 24-hour HH:mm format')
+              .addFields(
+                { name: 'Your Input', value: time, inline: true },
+                { name: 'Example', value: '08:28', inline: true }
+              )
+            ],
+            ephemeral: true
+          });
+          return;
+        }
+        config.dailyRunTime = time;
+        change = `Daily run time set to ${time} IST`;
+        break;
+      }
+    }
+
+    config.updatedBy = interaction.user.tag;
+    config.lastUpdated = new Date();
+    await config.save();
+    Logger.database(`Config updated for guild ${interaction.guildId} by ${interaction.user.tag}: ${change}`, 'UPDATE');
+
+    if (subcommand === 'run_time') scheduleGuildJobs(config);
+
+    await interaction.reply({
+      content: `✅ ${change}`,
+      embeds: [buildConfigEmbed(interaction, config)],
+      ephemeral: true
+    });
+  } catch (err) {
+    Logger.error(`Config error: ${err.message}`, 'CONFIG');
+    throw err;
+  }
+}
+
+const CATEGORY_CHOICES = Object.keys(CAR_CATEGORIES).map(category => ({
+  name: `${CAR_CATEGORIES[category]} ${category.charAt(0).toUpperCase()}${category.slice(1)}`,
+  value: category
+}));
+
+// Filter options shared by /list_car_insurance and /export_car_insurance
+const CAR_FILTER_OPTIONS = [
+  {
+    name: 'status',
+    description: 'Only show vehicles with this status',
+    type: 3,
+    required: false,
+    choices: [
+      { name: 'Expired', value: 'expired' },
+      { name: 'Urgent', value: 'urgent' },
+      { name: 'Warning', value: 'warning' },
+      { name: 'Active', value: 'active' }
+    ]
+  },
+  {
+    name: 'category',
+    description: 'Only show this kind of vehicle',
+    type: 3,
+    required: false,
+    choices: CATEGORY_CHOICES
+  },
+  {
+    name: 'search',
+    description: 'Part of a car name, number plate, garage or policy number',
+    type: 3,
+    required: false,
+    max_length: 30
+  },
+  {
+    name: 'owner',
+    description: 'Only show vehicles owned by this member',
+    type: 6,
+    required: false
+  },
+  {
+    name: 'added_by',
+    description: 'Only show vehicles registered by this member',
+    type: 6,
+    required: false
+  },
+  {
+    name: 'sort',
+    description: 'Field to sort by (default: expiry)',
+    type: 3,
+    required: false,
+    choices: [
+      { name: 'Expiry date', value: 'expiry' },
+      { name: 'Car name', value: 'name' },
+      { name: 'Number plate', value: 'plate' },
+      { name: 'Last updated', value: 'updated' },
+      { name: 'Renewal cost', value: 'cost' }
+    ]
+  },
+  {
+    name: 'order',
+    description: 'Sort order (default: ascending)',
+    type: 3,
+    required: false,
+    choices: [
+      { name: 'Ascending', value: 'asc' },
+      { name: 'Descending', value: 'desc' }
+    ]
+  }
+];
+
+// Optional vehicle details shared by /new_car_insurance and /edit_car_insurance
+const CAR_DETAIL_OPTIONS = [
+  {
+    name: 'category',
+    description: 'Kind of vehicle',
+    type: 3,
+    required: false,
+    choices: CATEGORY_CHOICES
+  },
+  {
+    name: 'garage',
+    description: 'Where the vehicle is parked',
+    type: 3,
+    required: false,
+    max_length: 50
+  },
+  {
+    name: 'policy_number',
+    description: 'Policy or receipt number',
+    type: 3,
+    required: false,
+    max_length: 50
+  },
+  {
+    name: 'notes',
+    description: 'Free-form notes',
+    type: 3,
+    required: false,
+    max_length: 500
+  },
+  {
+    name: 'renewal_cost',
+    description: 'Usual cost of a renewal',
+    type: 10,
+    required: false,
+    min_value: 0
+  },
+  {
+    name: 'image',
+    description: 'Photo of the vehicle',
+    type: 11,
+    required: false
+  },
+  {
+    name: 'image_url',
+    description: 'Link to a photo of the vehicle (instead of uploading one)',
+    type: 3,
+    required: false,
+    max_length: 500
+  }
+];
+
+// Slash Command Definitions
+const commands = [
+  {
+    name: 'new_car_insurance',
+    description: 'Register new car insurance',
+    options: [
+      {
+        name: 'car_name',
+        description: 'Vehicle make/model (e.g. Toyota Camry); leave out to fill in a form',
+        type: 3,
+        required: false,
+        max_length: 100
+      },
+      {
+        name: 'number_plate',
+        description: 'License plate (e.g. MH01-AB-1234); leave out to fill in a form',
+        type: 3,
+        required: false
+      },
+      {
+        name: 'days_left',
+        description: 'Days until insurance expires, 0 = today (or use expiry_date)',
+        type: 4,
+        required: false,
+        min_value: 0,
+        max_value: MAX_EXPIRY_DAYS
+      },
+      {
+        name: 'expiry_date',
+        description: 'Exact expiry date, DD-MM-YYYY or YYYY-MM-DD (or use days_left)',
+        type: 3,
+        required: false
+      },
+      {
+        name: 'owner',
+        description: 'Member responsible for this vehicle',
+        type: 6,
+        required: false
+      },
+      {
+        name: 'amount',
+        description: 'Amount paid for this registration',
+        type: 10,
+        required: false,
+        min_value: 0
+      },
+      ...CAR_DETAIL_OPTIONS
+    ]
+  },
+  {
+    name: 'edit_car_insurance',
+    description: 'Update a vehicle\'s details; give only the plate to edit in a form',
+    options: [
+      {
+        name: 'number_plate',
+        description: 'Select vehicle from dropdown',
+        type: 3,
+        required: true,
+        autocomplete: true
+      },
+      {
+        name: 'car_name',
+        description: 'New vehicle make/model',
+        type: 3,
+        required: false,
+        max_length: 100
+      },
+      {
+        name: 'new_plate',
+        description: 'Corrected number plate; the vehicle keeps its history',
+        type: 3,
+        required: false,
+        max_length: 15
+      },
+      ...CAR_DETAIL_OPTIONS,
+      {
+        name: 'clear',
+        description: 'Remove one detail from the record',
+        type: 3,
+        required: false,
+        choices: Object.keys(CLEARABLE_FIELDS).map(option => ({ name: option, value: option }))
+      }
+    ]
+  },
+  {
+    name: 'import_car_insurance',
+    description: 'Register or update many vehicles from a CSV or JSON file (preview first)',
+    options: [
+      {
+        name: 'file',
+        description: 'Columns: car_name, number_plate, expiry (DD-MM-YYYY) or days_left, owner, notes',
+        type: 11,
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'add_car_insurance',
+    description: 'Extend existing insurance validity',
+    options: [
+      {
+        name: 'number_plate',
+        description: 'Select vehicle from dropdown',
+        type: 3,
+        required: true,
+        autocomplete: true
+      },
+      {
+        name: 'days_to_add',
+        description: 'Days to add to insurance (or use new_expiry)',
+        type: 4,
+        required: false,
+        min_value: 1,
+        max_value: MAX_EXPIRY_DAYS
+      },
+      {
+        name: 'new_expiry',
+        description: 'New expiry date, DD-MM-YYYY or YYYY-MM-DD (or use days_to_add)',
+        type: 3,
+        required: false
+      },
+      {
+        name: 'amount',
+        description: 'Amount paid for this extension',
+        type: 10,
+        required: false,
+        min_value: 0
+      }
+    ]
+  },
+  {
+    name: 'less_car_insurance',
+    description: 'Reduce existing insurance validity',
+    options: [
+      {
+        name: 'number_plate',
+        description: 'Select vehicle from dropdown',
+        type: 3,
+        required: true,
+        autocomplete: true
+      },
+      {
+        name: 'days_to_subtract',
+        description: 'Days to subtract from insurance (or use new_expiry)',
+        type: 4,
+        required: false,
+        min_value: 1,
+        max_value: MAX_EXPIRY_DAYS
+      },
+      {
+        name: 'new_expiry',
+        description: 'New expiry date, DD-MM-YYYY or YYYY-MM-DD (or use days_to_subtract)',
+        type: 3,
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'set_expiry',
+    description: 'Correct a vehicle to an exact expiry date',
+    options: [
+      {
+        name: 'number_plate',
+        description: 'Select vehicle from dropdown',
+        type: 3,
+        required: true,
+        autocomplete: true
+      },
+      {
+        name: 'expiry_date',
+        description: 'Expiry date from the receipt, DD-MM-YYYY or YYYY-MM-DD',
+        type: 3,
+        required: true
+      },
+      {
+        name: 'amount',
+        description: 'Amount paid for this renewal',
+        type: 10,
+        required: false,
+        min_value: 0
+      }
+    ]
+  },
+  {
+    name: 'bulk_extend',
+    description: 'Extend or reduce several vehicles at once',
+    options: [
+      {
+        name: 'days',
+        description: 'Days to add or subtract',
+        type: 4,
+        required: true,
+        min_value: 1,
+        max_value: MAX_EXPIRY_DAYS
+      },
+      {
+        name: 'mode',
+        description: 'Extend (default) or reduce',
+        type: 3,
+        required: false,
+        choices: [
+          { name: 'Extend', value: 'extend' },
+          { name: 'Reduce', value: 'reduce' }
+        ]
+      },
+      {
+        name: 'expiring_within',
+        description: 'Skip the picker and change every vehicle with this many days left or fewer',
+        type: 4,
+        required: false,
+        min_value: 0
+      },
+      {
+        name: 'search',
+        description: 'Only offer vehicles whose name, plate, garage or policy number contains this text',
+        type: 3,
+        required: false,
+        max_length: 30
+      },
+      {
+        name: 'amount_each',
+        description: 'Amount paid per vehicle (extensions only)',
+        type: 10,
+        required: false,
+        min_value: 0
+      }
+    ]
+  },
+  {
+    name: 'auto_renew',
+    description: 'List and toggle automatic renewals',
+    options: [
+      {
+        name: 'list',
+        description: 'Show every vehicle that renews automatically',
+        type: 1
+      },
+      {
+        name: 'enable',
+        description: 'Renew a vehicle automatically whenever it expires',
+        type: 1,
+        options: [
+          {
+            name: 'number_plate',
+            description: 'Select vehicle from dropdown',
+            type: 3,
+            required: true,
+            autocomplete: true
+          },
+          {
+            name: 'days',
+            description: 'Days added on each renewal',
+            type: 4,
+            required: true,
+            min_value: 1,
+            max_value: 365
+          },
+          {
+            name: 'cost',
+            description: 'Amount recorded for each renewal',
+            type: 10,
+            required: false,
+            min_value: 0
+          }
+        ]
+      },
+      {
+        name: 'disable',
+        description: 'Stop renewing a vehicle automatically',
+        type: 1,
+        options: [
+          {
+            name: 'number_plate',
+            description: 'Select vehicle from dropdown',
+            type: 3,
+            required: true,
+            autocomplete: true
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'jobs',
+    description: 'Show recent scheduled job runs or re-run one',
+    options: [
+      {
+        name: 'list',
+        description: 'Show upcoming and recent job runs',
+        type: 1
+      },
+      {
+        name: 'run',
+        description: 'Run a job for today now (skipped if it is already running)',
+        type: 1,
+        options: [
+          {
+            name: 'job',
+            description: 'Job to run',
+            type: 3,
+            required: true,
+            choices: Object.entries(JOBS).map(([value, job]) => ({ name: job.label, value }))
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'api_keys',
+    description: 'Create, list or revoke keys for the REST API',
+    options: [
+      {
+        name: 'create',
+        description: 'Create a key; it is shown once',
+        type: 1,
+        options: [
+          {
+            name: 'name',
+            description: 'What the key is for (e.g. spreadsheet-sync)',
+            type: 3,
+            required: true,
+            max_length: 50
+          },
+          {
+            name: 'access',
+            description: 'Read only (default) or read and write',
+            type: 3,
+            required: false,
+            choices: [
+              { name: 'Read only', value: 'read' },
+              { name: 'Read and write', value: 'write' }
+            ]
+          }
+        ]
+      },
+      {
+        name: 'list',
+        description: 'Show this server\'s API keys',
+        type: 1
+      },
+      {
+        name: 'revoke',
+        description: 'Delete a key so it stops working',
+        type: 1,
+        options: [
+          {
+            name: 'name',
+            description: 'Name of the key',
+            type: 3,
+            required: true,
+            max_length: 50
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'webhooks',
+    description: 'Send signed JSON to other services when vehicles change',
+    options: [
+      {
+        name: 'add',
+        description: 'Add an endpoint; its signing secret is shown once',
+        type: 1,
+        options: [
+          {
+            name: 'name',
+            description: 'Short name for the endpoint',
+            type: 3,
+            required: true,
+            max_length: 50
+          },
+          {
+            name: 'url',
+            description: 'http:// or https:// URL that receives POST requests',
+            type: 3,
+            required: true,
+            max_length: 500
+          },
+          {
+            name: 'events',
+            description: `Comma-separated: ${Object.keys(WEBHOOK_EVENTS).join(', ')} (default: all)`,
+            type: 3,
+            required: false,
+            max_length: 100
+          }
+        ]
+      },
+      {
+        name: 'list',
+        description: 'Show this server\'s webhooks',
+        type: 1
+      },
+      {
+        name: 'test',
+        description: 'Send a test payload and show the response',
+        type: 1,
+        options: [
+          {
+            name: 'name',
+            description: 'Name of the webhook',
+            type: 3,
+            required: true,
+            max_length: 50
+          }
+        ]
+      },
+      {
+        name: 'remove',
+        description: 'Delete a webhook',
+        type: 1,
+        options: [
+          {
+            name: 'name',
+            description: 'Name of the webhook',
+            type: 3,
+            required: true,
+            max_length: 50
+          }
+        ]
+      },
+      {
+        name: 'log',
+        description: 'Show recent deliveries and their results',
+        type: 1,
+        options: [
+          {
+            name: 'name',
+            description: 'Only show deliveries to this webhook',
+            type: 3,
+            required: false,
+            max_length: 50
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'insurance_report',
+    description: 'Spend on renewals by category and member, plus upcoming renewal costs',
+    options: [
+      {
+        name: 'period',
+        description: 'Reporting window (default: this month)',
+        type: 3,
+        required: false,
+        choices: Object.entries(REPORT_PERIODS).map(([value, period]) => ({ name: period.label, value }))
+      }
+    ]
+  },
+  {
+    name: 'list_car_insurance',
+    description: 'View registered car insurances with optional filters (paginated)',
+    options: CAR_FILTER_OPTIONS
+  },
+  {
+    name: 'export_car_insurance',
+    description: 'Download the registry as CSV, JSON or a printable HTML report',
+    options: [
+      {
+        name: 'format',
+        description: 'File format',
+        type: 3,
+        required: true,
+        choices: [
+          { name: 'CSV (spreadsheet)', value: 'csv' },
+          { name: 'JSON', value: 'json' },
+          { name: 'HTML (printable report)', value: 'html' }
+        ]
+      },
+      ...CAR_FILTER_OPTIONS
+    ]
+  },
+  {
+    name: 'alert_insurance',
+    description: 'Trigger manual insurance expiry alert (sends to alert channel)'
+  },
+  {
+    name: 'dm_car_insurance_list',
+    description: 'DM the complete insurance list to members or a role (paginated)',
+    options: [
+      {
+        name: 'user',
+        description: 'Member to send it to',
+        type: 6,
+        required: false
+      },
+      {
+        name: 'role',
+        description: 'Send it to every member with this role',
+        type: 8,
+        required: false
+      },
+      {
+        name: 'users',
+        description: 'Several members, e.g. @alice @bob',
+        type: 3,
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'dm_alert_car_insurance',
+    description: 'DM expiring insurances to members or a role and post them in the alert channel',
+    options: [
+      {
+        name: 'user',
+        description: 'Member to send it to',
+        type: 6,
+        required: false
+      },
+      {
+        name: 'role',
+        description: 'Send it to every member with this role',
+        type: 8,
+        required: false
+      },
+      {
+        name: 'users',
+        description: 'Several members, e.g. @alice @bob',
+        type: 3,
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'remove_car_insurance',
+    description: 'Move an insurance record to the trash (requires a delete role)',
+    options: [
+      {
+        name: 'number_plate',
+        description: 'Select vehicle to remove',
+        type: 3,
+        required: true,
+        autocomplete: true
+      }
+    ]
+  },
+  {
+    name: 'restore_car_insurance',
+    description: 'Restore a removed insurance record from the trash',
+    options: [
+      {
+        name: 'number_plate',
+        description: 'Select removed vehicle to restore',
+        type: 3,
+        required: true,
+        autocomplete: true
+      }
+    ]
+  },
+  {
+    name: 'assign_owner',
+    description: 'Set or clear the member responsible for a vehicle',
+    options: [
+      {
+        name: 'number_plate',
+        description: 'Select vehicle from dropdown',
+        type: 3,
+        required: true,
+        autocomplete: true
+      },
+      {
+        name: 'owner',
+        description: 'New owner (leave empty to clear)',
+        type: 6,
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'my_cars',
+    description: 'Show the vehicles assigned to you'
+  },
+  {
+    name: 'calendar_link',
+    description: 'DM yourself a calendar feed (.ics) of upcoming insurance expiries',
+    options: [
+      {
+        name: 'scope',
+        description: 'Which vehicles to include (default: yours)',
+        type: 3,
+        required: false,
+        choices: [
+          { name: 'My vehicles', value: 'owner' },
+          { name: 'Whole fleet', value: 'guild' }
+        ]
+      },
+      {
+        name: 'alarm_days',
+        description: 'Days before expiry to remind you, at 09:00 IST (default: 1, 0 = on the day)',
+        type: 4,
+        required: false,
+        min_value: 0,
+        max_value: 30
+      },
+      {
+        name: 'reset',
+        description: 'Replace the link, so the old one stops working',
+        type: 5,
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'history',
+    description: 'Show the change history of one vehicle (paginated)',
+    options: [
+      {
+        name: 'number_plate',
+        description: 'Select vehicle from dropdown',
+        type: 3,
+        required: true,
+        autocomplete: true
+      }
+    ]
+  },
+  {
+    name: 'audit',
+    description: 'Show every insurance change made by a member (paginated)',
+    options: [
+      {
+        name: 'user',
+        description: 'Member whose changes to show',
+        type: 6,
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'scan_insurance',
+    description: 'Show a read-only status report of all insurances'
+  },
+  {
+    name: 'ping',
+    description: 'Check bot status and response time'
+  },
+  {
+    name: 'config',
+    description: 'View or change this server\'s insurance bot settings',
+    options: [
+      {
+        name: 'view',
+        description: 'Show the current configuration',
+        type: 1
+      },
+      {
+        name: 'alert_channel',
+        description: 'Set the channel that receives alerts and reports',
+        type: 1,
+        options: [
+          {
+            name: 'channel',
+            description: 'Alert channel',
+            type: 7,
+            required: true,
+            channel_types: [0, 5]
+          }
+        ]
+      },
+      {
+        name: 'photo_channel',
+        description: 'Set the channel that keeps uploaded vehicle photos',
+        type: 1,
+        options: [
+          {
+            name: 'channel',
+            description: 'Photo channel',
+            type: 7,
+            required: true,
+            channel_types: [0, 5]
+          }
+        ]
+      },
+      {
+        name: 'add_role',
+        description: 'Add a privileged or ping role',
+        type: 1,
+        options: [
+          {
+            name: 'kind',
+            description: 'Which role list to change',
+            type: 3,
+            required: true,
+            choices: [
+              { name: 'Privileged (default command access)', value: 'privileged' },
+              { name: 'Ping (mentioned in alerts)', value: 'ping' }
+            ]
+          },
+          {
+            name: 'role',
+            description: 'Role to add',
+            type: 8,
+            required: true
+          }
+        ]
+      },
+      {
+        name: 'remove_role',
+        description: 'Remove a privileged or ping role',
+        type: 1,
+        options: [
+          {
+            name: 'kind',
+            description: 'Which role list to change',
+            type: 3,
+            required: true,
+            choices: [
+              { name: 'Privileged (default command access)', value: 'privileged' },
+              { name: 'Ping (mentioned in alerts)', value: 'ping' }
+            ]
+          },
+          {
+            name: 'role',
+            description: 'Role to remove',
+            type: 8,
+            required: true
+          }
+        ]
+      },
+      {
+        name: 'threshold',
+        description: 'Set how many days before expiry a car needs attention',
+        type: 1,
+        options: [
+          {
+            name: 'days',
+            description: 'Days left at or below which a car is urgent and manual alerts include it',
+            type: 4,
+            required: true,
+            min_value: 0,
+            max_value: 60
+          },
+          {
+            name: 'warning_days',
+            description: 'Days left at or below which a car shows as a warning',
+            type: 4,
+            required: false,
+            min_value: 0,
+            max_value: 90
+          }
+        ]
+      },
+      {
+        name: 'stage_set',
+        description: 'Add or update a daily reminder stage',
+        type: 1,
+        options: [
+          {
+            name: 'days',
+            description: 'Fire once when days left drops to this value or below',
+            type: 4,
+            required: true,
+            min_value: 0,
+            max_value: 90
+          },
+          {
+            name: 'label',
+            description: 'Title shown on the reminder (e.g. One week left)',
+            type: 3,
+            required: false
+          },
+          {
+            name: 'color',
+            description: 'Embed color as hex (e.g. #FF4500)',
+            type: 3,
+            required: false
+          },
+          {
+            name: 'mentions',
+            description: 'Roles to mention, e.g. @Founder @Slayer (no roles means the ping roles)',
+            type: 3,
+            required: false
+          },
+          {
+            name: 'channel',
+            description: 'Channel for this stage (defaults to the alert channel)',
+            type: 7,
+            required: false,
+            channel_types: [0, 5]
+          }
+        ]
+      },
+      {
+        name: 'permission_add',
+        description: 'Allow a role to use a group of commands (@everyone opens it to all)',
+        type: 1,
+        options: [
+          {
+            name: 'action',
+            description: 'Command group',
+            type: 3,
+            required: true,
+            choices: PERMISSION_ACTIONS.map(action => ({ name: action, value: action }))
+          },
+          {
+            name: 'role',
+            description: 'Role to allow',
+            type: 8,
+            required: true
+          }
+        ]
+      },
+      {
+        name: 'permission_remove',
+        description: 'Stop a role from using a group of commands',
+        type: 1,
+        options: [
+          {
+            name: 'action',
+            description: 'Command group',
+            type: 3,
+            required: true,
+            choices: PERMISSION_ACTIONS.map(action => ({ name: action, value: action }))
+          },
+          {
+            name: 'role',
+            description: 'Role to disallow',
+            type: 8,
+            required: true
+          }
+        ]
+      },
+      {
+        name: 'permission_reset',
+        description: 'Reset a command group to its default roles',
+        type: 1,
+        options: [
+          {
+            name: 'action',
+            description: 'Command group',
+            type: 3,
+            required: true,
+            choices: PERMISSION_ACTIONS.map(action => ({ name: action, value: action }))
+          }
+        ]
+      },
+      {
+        name: 'stage_remove',
+        description: 'Remove a daily reminder stage',
+        type: 1,
+        options: [
+          {
+            name: 'days',
+            description: 'Days value of the stage to remove',
+            type: 4,
+            required: true,
+            min_value: 0,
+            max_value: 90
+          }
+        ]
+      },
+      {
+        name: 'run_time',
+        description: 'Set the daily update time (IST)',
+        type: 1,
+        options: [
+          {
+            name: 'time',
+            description: '24-hour time, e.g. 08:28',
+            type: 3,
+            required: true
+          }
+        ]
+      }
+    ]
+  }
+];
+
+// Every command works on one guild's fleet, so none is offered in DMs
+commands.forEach(command => {
+  command.dm_permission = false;
+});
+
+// Admin dashboard: Discord OAuth2 login, limited to each guild's leadership (server managers and privileged roles)
+const DASHBOARD_SESSION_HOURS = 12;
+const DASHBOARD_HISTORY_LIMIT = 50;
+
+function isDashboardConfigured() {
+  return Boolean(process.env.DISCORD_CLIENT_SECRET && process.env.SESSION_SECRET && process.env.DASHBOARD_URL);
+}
+
+function getDashboardUrl(path = '') {
+  return `${process.env.DASHBOARD_URL.replace(/\/+$/, '')}/dashboard${path}`;
+}
+
+// Cookie values are base64url JSON plus an HMAC, so the session needs no server-side store
+function signValue(value) {
+  const payload = Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signature = crypto.createHmac('sha256', process.env.SESSION_SECRET).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+function verifySignedValue(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', process.env.SESSION_SECRET).update(payload).digest('base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+
+  try {
+    const value = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return value.exp > Date.now() ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+  }
+  return cookies;
+}
+
+function setDashboardCookie(res, name, value, maxAgeMs) {
+  res.cookie(name, value, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.DASHBOARD_URL.startsWith('https://'),
+    path: '/dashboard',
+    maxAge: maxAgeMs
+  });
+}
+
+const DASHBOARD_CSS = `
+  body { font-family: "Segoe UI", Arial, sans-serif; margin: 0; background: #f5f6f8; color: #1f2329; }
+  header { background: #23272a; color: #fff; padding: 12px 24px; display: flex; justify-content: space-between; align-items: center; }
+  header a { color: #c9cdfb; text-decoration: none; margin-left: 12px; }
+  main { padding: 24px; max-width: 1200px; margin: 0 auto; }
+  h1 { font-size: 22px; margin: 0 0 16px; }
+  h2 { font-size: 16px; margin: 24px 0 8px; }
+  a { color: #3b5bdb; }
+  table { width: 100%; border-collapse: collapse; background: #fff; font-size: 13px; }
+  th, td { border-bottom: 1px solid #e3e6ea; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #eef0f3; font-size: 11px; text-transform: uppercase; letter-spacing: 0.04em; }
+  th a { color: inherit; text-decoration: none; }
+  .mono { font-family: Consolas, monospace; }
+  .num { text-align: right; }
+  .chip { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 11px; text-transform: uppercase; }
+  .chip.expired { background: #fde2e1; color: #a3211b; }
+  .chip.urgent { background: #ffe8d6; color: #b34700; }
+  .chip.warning { background: #fff4c2; color: #7a5d00; }
+  .chip.active { background: #dff5e3; color: #1d6b2f; }
+  .panel { background: #fff; border: 1px solid #e3e6ea; border-radius: 6px; padding: 16px; margin-bottom: 16px; }
+  .row { display: flex; flex-wrap: wrap; gap: 16px; }
+  .row > .panel { flex: 1 1 280px; }
+  form.inline { display: flex; flex-wrap: wrap; gap: 8px; align-items: flex-end; }
+  label { display: flex; flex-direction: column; font-size: 12px; color: #5c6370; gap: 2px; }
+  input, select, textarea { font: inherit; padding: 5px 8px; border: 1px solid #c7ccd1; border-radius: 4px; }
+  button { font: inherit; padding: 6px 14px; border: 0; border-radius: 4px; background: #3b5bdb; color: #fff; cursor: pointer; }
+  button.danger { background: #c92a2a; }
+  .notice { background: #dff5e3; border: 1px solid #b2dfbb; padding: 8px 12px; border-radius: 4px; margin-bottom: 16px; }
+  .error { background: #fde2e1; border: 1px solid #f5b5b1; padding: 8px 12px; border-radius: 4px; margin-bottom: 16px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0; }
+  dt { color: #5c6370; }
+`;
+
+function renderDashboardPage(req, { title, body }) {
+  const plain = text => escapeHtml(stripMarkdown(text));
+  const session = req.session;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} - Insurance Dashboard</title>
+  <style>${DASHBOARD_CSS}</style>
+</head>
+<body>
+  <header>
+    <strong>🚗 Insurance Dashboard</strong>
+    <span>${session ? `${escapeHtml(session.tag)}<a href="/dashboard">Servers</a><a href="/dashboard/logout">Sign out</a>` : ''}</span>
+  </header>
+  <main>
+    ${req.query.notice ? `<div class="notice">${plain(req.query.notice)}</div>` : ''}
+    ${req.query.error ? `<div class="error">${plain(req.query.error)}</div>` : ''}
+    ${body}
+  </main>
+</body>
+</html>`;
+}
+
+function sendDashboardError(req, res, status, message) {
+  res.status(status).send(renderDashboardPage(req, { title: 'Error', body: `<h1>${escapeHtml(message)}</h1><p><a href="/dashboard">Back to the dashboard</a></p>` }));
+}
+
+function redirectWith(res, path, { notice, error } = {}) {
+  const params = new URLSearchParams();
+  if (notice) params.set('notice', notice);
+  if (error) params.set('error', error);
+  res.redirect(`/dashboard${path}${params.size ? `?${params}` : ''}`);
+}
+
+async function getDashboardGuilds(userId) {
+  const guilds = [];
+  for (const guild of client.guilds.cache.values()) {
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (member && canManageConfig(member, await getGuildConfig(guild.id))) guilds.push(guild);
+  }
+  return guilds;
+}
+
+const dashboard = express.Router();
+dashboard.use(express.urlencoded({ extended: false }));
+
+dashboard.use((req, res, next) => {
+  if (!isDashboardConfigured()) {
+    res.status(503).send('Dashboard is not configured. Set DISCORD_CLIENT_SECRET, SESSION_SECRET and DASHBOARD_URL.');
+    return;
+  }
+  req.session = verifySignedValue(parseCookies(req).dashboard_session);
+  next();
+});
+
+dashboard.get('/login', (req, res) => {
+  const state = crypto.randomBytes(16).toString('hex');
+  setDashboardCookie(res, 'dashboard_state', signValue({ state, exp: Date.now() + 10 * 60 * 1000 }), 10 * 60 * 1000);
+
+  const params = new URLSearchParams({
+    client_id: process.env.DISCORD_CLIENT_ID || client.user.id,
+    redirect_uri: getDashboardUrl('/callback'),
+    response_type: 'code',
+    scope: 'identify',
+    state
+  });
+  res.redirect(`https://discord.com/oauth2/authorize?${params}`);
+});
+
+dashboard.get('/callback', async (req, res) => {
+  const expected = verifySignedValue(parseCookies(req).dashboard_state);
+  res.clearCookie('dashboard_state', { path: '/dashboard' });
+  if (!expected || !req.query.code || req.query.state !== expected.state) {
+    sendDashboardError(req, res, 400, 'Login expired or was tampered with. Please sign in again.');
+    return;
+  }
+
+  const tokenResponse = await fetch('https://discord.com/api/v10/oauth2/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: process.env.DISCORD_CLIENT_ID || client.user.id,
+      client_secret: process.env.DISCORD_CLIENT_SECRET,
+      grant_type: 'authorization_code',
+      code: String(req.query.code),
+      redirect_uri: getDashboardUrl('/callback')
+    })
+  });
+  if (!tokenResponse.ok) {
+    Logger.error(`Dashboard OAuth token exchange failed with status ${tokenResponse.status}`, 'DASHBOARD');
+    sendDashboardError(req, res, 401, 'Discord login failed');
+    return;
+  }
+
+  const { access_token: accessToken } = await tokenResponse.json();
+  const userResponse = await fetch('https://discord.com/api/v10/users/@me', { headers: { Authorization: `Bearer ${accessToken}` } });
+  if (!userResponse.ok) {
+    sendDashboardError(req, res, 401, 'Discord login failed');
+    return;
+  }
+  const user = await userResponse.json();
+
+  if ((await getDashboardGuilds(user.id)).length === 0) {
+    Logger.log(`Dashboard login refused for ${user.username} (${user.id}): no leadership role`, 'warning');
+    sendDashboardError(req, res, 403, 'The dashboard is limited to server leadership');
+    return;
+  }
+
+  const session = {
+    userId: user.id,
+    tag: user.username,
+    csrf: crypto.randomBytes(16).toString('hex'),
+    exp: Date.now() + DASHBOARD_SESSION_HOURS * 60 * 60 * 1000
+  };
+  setDashboardCookie(res, 'dashboard_session', signValue(session), DASHBOARD_SESSION_HOURS * 60 * 60 * 1000);
+  Logger.log(`Dashboard login by ${user.username} (${user.id})`, 'info');
+  res.redirect('/dashboard');
+});
+
+dashboard.get('/logout', (req, res) => {
+  res.clearCookie('dashboard_session', { path: '/dashboard' });
+  req.session = null;
+  res.send(renderDashboardPage(req, { title: 'Signed out', body: '<h1>Signed out</h1><p><a href="/dashboard/login">Sign in again</a></p>' }));
+});
+
+// Everything below needs a session
+dashboard.use((req, res, next) => {
+  if (!req.session) {
+    res.redirect('/dashboard/login');
+    return;
+  }
+  if (req.method === 'POST' && req.body?._csrf !== req.session.csrf) {
+    sendDashboardError(req, res, 403, 'This form has expired. Reload the page and try again.');
+    return;
+  }
+  next();
+});
+
+dashboard.get('/', async (req, res) => {
+  const guilds = await getDashboardGuilds(req.session.userId);
+  if (guilds.length === 1) {
+    res.redirect(`/dashboard/${guilds[0].id}`);
+    return;
+  }
+  res.send(renderDashboardPage(req, {
+    title: 'Servers',
+    body: `<h1>Choose a server</h1>${guilds.length
+      ? `<ul>${guilds.map(guild => `<li><a href="/dashboard/${guild.id}">${escapeHtml(guild.name)}</a></li>`).join('')}</ul>`
+      : '<p>You are not part of the leadership of any server this bot is in.</p>'}`
+  }));
+});
+
+// Loads the guild, re-checks leadership on every request and exposes the acting member
+dashboard.use('/:guildId', async (req, res, next) => {
+  const guild = client.guilds.cache.get(req.params.guildId);
+  const member = guild ? await guild.members.fetch(req.session.userId).catch(() => null) : null;
+  const config = guild ? await getGuildConfig(guild.id) : null;
+  if (!member || !canManageConfig(member, config)) {
+    sendDashboardError(req, res, 403, 'You do not have access to this server');
+    return;
+  }
+  req.guild = guild;
+  req.member = member;
+  req.config = config;
+  next();
+});
+
+function requireDashboardPermission(req, res, action, returnPath) {
+  if (hasPermission(req.member, req.config, action)) return true;
+  redirectWith(res, returnPath, { error: `You lack the ${action} permission` });
+  return false;
+}
+
+function csrfField(req) {
+  return `<input type="hidden" name="_csrf" value="${escapeHtml(req.session.csrf)}">`;
+}
+
+dashboard.get('/:guildId', async (req, res) => {
+  const { guild, config } = req;
+  const filters = {
+    status: CAR_STATUSES.includes(req.query.status) ? req.query.status : 'all',
+    category: Object.hasOwn(CAR_CATEGORIES, req.query.category ?? '') ? req.query.category : undefined,
+    search: req.query.search ? String(req.query.search).slice(0, 30) : undefined,
+    sort: Object.hasOwn(CAR_SORT_FIELDS, req.query.sort ?? '') ? req.query.sort : 'expiry',
+    order: req.query.order === 'desc' ? 'desc' : 'asc'
+  };
+  const cars = await findCars(config, filters);
+
+  const sortLink = (field, label) => {
+    const order = filters.sort === field && filters.order === 'asc' ? 'desc' : 'asc';
+    const params = new URLSearchParams({ ...filters, sort: field, order });
+    if (!filters.category) params.delete('category');
+    if (!filters.search) params.delete('search');
+    const arrow = filters.sort === field ? (filters.order === 'asc' ? ' ▲' : ' ▼') : '';
+    return `<th><a href="?${params}">${label}${arrow}</a></th>`;
+  };
+  const option = (value, label, selected) => `<option value="${value}"${selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+  const counts = CAR_STATUSES.map(status => `${status}: ${cars.filter(car => getStatus(getDaysLeft(car.expiryDate), config) === status).length}`).join(' • ');
+
+  const rows = cars.map(car => {
+    const daysLeft = getDaysLeft(car.expiryDate);
+    const status = getStatus(daysLeft, config);
+    const owner = car.ownerId ? guild.members.cache.get(car.ownerId)?.displayName || car.ownerId : '';
+    return `<tr>
+      <td><a href="/dashboard/${guild.id}/cars/${encodeURIComponent(car.numberPlate)}">${escapeHtml(car.carName)}</a></td>
+      <td class="mono">${escapeHtml(car.numberPlate)}</td>
+      <td>${car.category ? `${CAR_CATEGORIES[car.category]} ${car.category}` : ''}</td>
+      <td>${moment(car.expiryDate).tz('Asia/Kolkata').format('DD MMM YYYY')}</td>
+      <td class="num">${daysLeft}</td>
+      <td><span class="chip ${status}">${status}</span></td>
+      <td>${escapeHtml(owner)}</td>
+      <td>${escapeHtml(car.garage || '')}</td>
+      <td class="num">${car.renewalCost != null ? formatMoney(car.renewalCost) : ''}</td>
+      <td>${moment(car.lastUpdated).tz('Asia/Kolkata').format('DD MMM YYYY')}</td>
+    </tr>`;
+  }).join('');
+
+  res.send(renderDashboardPage(req, {
+    title: guild.name,
+    body: `
+    <h1>${escapeHtml(guild.name)} fleet</h1>
+    <div class="panel">
+      <form class="inline" method="get">
+        <label>Status<select name="status">${option('all', 'All', filters.status === 'all')}${CAR_STATUSES.map(status => option(status, status, filters.status === status)).join('')}</select></label>
+        <label>Category<select name="category">${option('', 'All', !filters.category)}${Object.keys(CAR_CATEGORIES).map(category => option(category, `${CAR_CATEGORIES[category]} ${category}`, filters.category === category)).join('')}</select></label>
+        <label>Search<input name="search" maxlength="30" value="${escapeHtml(filters.search || '')}" placeholder="Name, plate, garage or policy"></label>
+        <input type="hidden" name="sort" value="${filters.sort}"><input type="hidden" name="order" value="${filters.order}">
+        <button type="submit">Filter</button>
+      </form>
+    </div>
+    <p>${cars.length} vehicle${cars.length === 1 ? '' : 's'} • ${counts}</p>
+    <table>
+      <thead><tr>${sortLink('name', 'Car')}${sortLink('plate', 'Plate')}<th>Category</th>${sortLink('expiry', 'Expiry')}<th>Days Left</th><th>Status</th><th>Owner</th><th>Garage</th>${sortLink('cost', 'Renewal Cost')}${sortLink('updated', 'Updated')}</tr></thead>
+      <tbody>${rows || '<tr><td colspan="10">No vehicles match these filters</td></tr>'}</tbody>
+    </table>
+    <h2>Register a vehicle</h2>
+    <div class="panel">
+      <form class="inline" method="post" action="/dashboard/${guild.id}/cars">
+        ${csrfField(req)}
+        <label>Car name<input name="car_name" required maxlength="100"></label>
+        <label>Number plate<input name="number_plate" required maxlength="15" placeholder="MH01-AB-1234"></label>
+        <label>Days left or expiry date<input name="expiry" required maxlength="10" placeholder="30 or DD-MM-YYYY"></label>
+        <label>Category<select name="category">${option('', 'None', true)}${Object.keys(CAR_CATEGORIES).map(category => option(category, category, false)).join('')}</select></label>
+        <label>Garage<input name="garage" maxlength="50"></label>
+        <label>Amount paid<input name="amount" maxlength="12"></label>
+        <label>Notes<input name="notes" maxlength="500"></label>
+        <button type="submit">Register</button>
+      </form>
+    </div>`
+  }));
+});
+
+dashboard.post('/:guildId/cars', async (req, res) => {
+  if (!requireDashboardPermission(req, res, 'create', `/${req.guild.id}`)) return;
+
+  const carName = String(req.body.car_name || '').trim();
+  const numberPlate = String(req.body.number_plate || '').trim();
+  const category = String(req.body.category || '');
+  const garage = String(req.body.garage || '').trim();
+  const notes = String(req.body.notes || '').trim();
+  const { expiryDate, problem: expiryProblem } = parseExpiryText(req.body.expiry);
+  const { amount, problem: amountProblem } = parseAmountText(req.body.amount);
+
+  const problems = [expiryProblem, amountProblem];
+  if (!carName || carName.length > 100) problems.push('Car name must be 1-100 characters');
+  if (!PLATE_PATTERN.test(numberPlate)) problems.push('Number plate must be 2-15 letters, digits or hyphens');
+  if (category && !Object.hasOwn(CAR_CATEGORIES, category)) problems.push('Unknown category');
+  if (garage.length > 50) problems.push('Garage must be at most 50 characters');
+  if (notes.length > 500) problems.push('Notes must be at most 500 characters');
+  if (problems.some(Boolean)) {
+    redirectWith(res, `/${req.guild.id}`, { error: problems.filter(Boolean).join(' • ') });
+    return;
+  }
+
+  try {
+    const car = await CarInsurance.create({
+      guildId: req.guild.id,
+      carName,
+      numberPlate,
+      expiryDate,
+      addedBy: req.member.user.tag,
+      addedById: req.member.user.id,
+      category: category || undefined,
+      garage: garage || undefined,
+      notes: notes || undefined
+    });
+    await recordEvent('create', car, req.member.user, { newExpiry: expiryDate, dayDelta: getDaysLeft(expiryDate), amount });
+    Logger.database(`New insurance added from dashboard: ${carName} (${numberPlate}) by ${req.member.user.tag}`, 'INSERT');
+    redirectWith(res, `/${req.guild.id}/cars/${encodeURIComponent(numberPlate)}`, { notice: `${carName} registered` });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    redirectWith(res, `/${req.guild.id}`, { error: `Number plate ${numberPlate} already exists` });
+  }
+});
+
+// Loads the car named in the URL for the per-car pages and forms
+dashboard.use('/:guildId/cars/:plate', async (req, res, next) => {
+  req.car = await CarInsurance.findOne({ guildId: req.guild.id, numberPlate: req.params.plate });
+  if (!req.car) {
+    redirectWith(res, `/${req.guild.id}`, { error: `${req.params.plate} is not registered` });
+    return;
+  }
+  next();
+});
+
+dashboard.get('/:guildId/cars/:plate', async (req, res) => {
+  const { guild, config, car } = req;
+  const daysLeft = getDaysLeft(car.expiryDate);
+  const status = getStatus(daysLeft, config);
+  const events = await InsuranceEvent.find({ guildId: guild.id, numberPlate: car.numberPlate })
+    .sort({ createdAt: -1 })
+    .limit(DASHBOARD_HISTORY_LIMIT);
+  const formatDay = date => moment(date).tz('Asia/Kolkata').format('DD MMM YYYY');
+  const base = `/dashboard/${guild.id}/cars/${encodeURIComponent(car.numberPlate)}`;
+  const photoUrl = await fetchCarPhotoUrl(car);
+
+  const details = [
+    ['Expiry', `${formatDay(car.expiryDate)} (${daysLeft} days left) <span class="chip ${status}">${status}</span>`],
+    ['Category', car.category ? `${CAR_CATEGORIES[car.category]} ${car.category}` : ''],
+    ['Owner', car.ownerId ? escapeHtml(guild.members.cache.get(car.ownerId)?.displayName || car.ownerId) : ''],
+    ['Garage', escapeHtml(car.garage || '')],
+    ['Policy', escapeHtml(car.policyNumber || '')],
+    ['Renewal cost', car.renewalCost != null ? formatMoney(car.renewalCost) : ''],
+    ['Auto-renew', car.autoRenew?.enabled ? `every ${car.autoRenew.days} days` : ''],
+    ['Notes', escapeHtml(car.notes || '')],
+    ['Added by', escapeHtml(car.addedBy)],
+    ['Last updated', moment(car.lastUpdated).tz('Asia/Kolkata').format('DD MMM YYYY hh:mm A')]
+  ].filter(([, value]) => value).map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('');
+
+  const history = events.map(event => `<tr>
+      <td>${moment(event.createdAt).tz('Asia/Kolkata').format('DD MMM YYYY HH:mm')}</td>
+      <td>${escapeHtml(EVENT_LABELS[event.type] || event.type)}</td>
+      <td>${event.oldExpiry ? formatDay(event.oldExpiry) : ''}${event.oldExpiry && event.newExpiry ? ' → ' : ''}${event.newExpiry ? formatDay(event.newExpiry) : ''}
+        ${event.dayDelta ? `(${event.dayDelta > 0 ? '+' : ''}${event.dayDelta}d)` : ''}
+        ${event.type === 'rename' ? `from ${escapeHtml(event.previousPlate)}` : ''}
+        ${event.type === 'edit' ? escapeHtml((event.changedFields || []).join(', ')) : ''}</td>
+      <td class="num">${event.amount != null ? formatMoney(event.amount) : ''}</td>
+      <td>${escapeHtml(event.actorTag)}</td>
+    </tr>`).join('');
+
+  const changeForm = (mode, label, extra = '') => `
+      <form class="inline" method="post" action="${base}/${mode}">
+        ${csrfField(req)}
+        <label>Days or new date<input name="change" required maxlength="10" placeholder="7 or DD-MM-YYYY"></label>
+        ${extra}
+        <button type="submit">${label}</button>
+      </form>`;
+
+  res.send(renderDashboardPage(req, {
+    title: `${car.carName} (${car.numberPlate})`,
+    body: `
+    <p><a href="/dashboard/${guild.id}">← ${escapeHtml(guild.name)} fleet</a></p>
+    <h1>${escapeHtml(car.carName)} <span class="mono">${escapeHtml(car.numberPlate)}</span></h1>
+    <div class="row">
+      <div class="panel"><dl>${details}</dl>${photoUrl ? `<p><img src="${escapeHtml(photoUrl)}" alt="" style="max-width:100%"></p>` : ''}</div>
+      <div class="panel">
+        <h2>Extend</h2>${changeForm('extend', 'Extend', '<label>Amount paid<input name="amount" maxlength="12"></label>')}
+        <h2>Reduce</h2>${changeForm('reduce', 'Reduce')}
+        <h2>Remove</h2>
+        <form class="inline" method="post" action="${base}/remove">
+          ${csrfField(req)}
+          <label><span><input type="checkbox" name="confirm" value="yes" required> Move to trash (restorable for ${TRASH_RETENTION_DAYS} days)</span></label>
+          <button type="submit" class="danger">Remove</button>
+        </form>
+      </div>
+    </div>
+    <h2>History</h2>
+    <table>
+      <thead><tr><th>When (IST)</th><th>Change</th><th>Expiry</th><th>Amount</th><th>By</th></tr></thead>
+      <tbody>${history || '<tr><td colspan="5">No recorded changes</td></tr>'}</tbody>
+    </table>`
+  }));
+});
+
+dashboard.post('/:guildId/cars/:plate/:mode', async (req, res) => {
+  const { guild, car } = req;
+  const { mode } = req.params;
+  const base = `/${guild.id}/cars/${encodeURIComponent(car.numberPlate)}`;
+
+  if (mode === 'remove') {
+    if (!requireDashboardPermission(req, res, 'remove', base)) return;
+    if (req.body.confirm !== 'yes') {
+      redirectWith(res, base, { error: 'Tick the box to confirm the removal' });
+      return;
+    }
+    await trashCar(guild.id, car.numberPlate, req.member.user);
+    redirectWith(res, `/${guild.id}`, { notice: `${car.carName} (${car.numberPlate}) moved to trash` });
+    return;
+  }
+
+  if (!['extend', 'reduce'].includes(mode)) {
+    sendDashboardError(req, res, 404, 'Unknown action');
+    return;
+  }
+  if (!requireDashboardPermission(req, res, mode, base)) return;
+
+  const plan = planExpiryChange(car, mode, req.body.change);
+  const { amount, problem: amountProblem } = mode === 'extend' ? parseAmountText(req.body.amount) : {};
+  if (plan.problem || amountProblem) {
+    redirectWith(res, base, { error: [plan.problem, amountProblem].filter(Boolean).join(' • ') });
+    return;
+  }
+
+  car.expiryDate = plan.newExpiry.toDate();
+  car.lastUpdated = new Date();
+  await car.save();
+  await recordEvent(mode, car, req.member.user, { oldExpiry: plan.oldExpiry.toDate(), newExpiry: car.expiryDate, dayDelta: plan.dayDelta, amount });
+  Logger.database(`Insurance ${mode === 'extend' ? 'extended' : 'reduced'} from dashboard: ${car.carName} (${car.numberPlate}) by ${plan.dayDelta} days`, 'UPDATE');
+  redirectWith(res, base, { notice: `Expiry moved to ${plan.newExpiry.format('DD MMM YYYY')} (${plan.dayDelta > 0 ? '+' : ''}${plan.dayDelta} days)` });
+});
+
+dashboard.use((err, req, res, next) => {
+  Logger.error(`Dashboard error on ${req.method} ${req.originalUrl}: ${err.message}`, 'DASHBOARD');
+  sendDashboardError(req, res, 500, 'Something went wrong');
+});
+
+app.use('/dashboard', dashboard);
+
+// REST API: versioned JSON endpoints authenticated with keys from /api_keys
+const API_PAGE_SIZE = 25;
+const API_MAX_PAGE_SIZE = 100;
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+
+// Ids must arrive as strings: 18-20 digit JSON numbers lose precision and would name the wrong member
+function isSnowflake(value) {
+  return typeof value === 'string' && SNOWFLAKE_PATTERN.test(value);
+}
+
+// Every error has the same shape: { error: { code, message, details? } }
+function sendApiError(res, status, code, message, details) {
+  res.status(status).json({ error: { code, message, ...(details ? { details } : {}) } });
+}
+
+function sendApiProblems(res, problems) {
+  sendApiError(res, 400, 'validation_failed', 'The request has invalid fields', problems.map(stripMarkdown));
+}
+
+function toApiCar(car, config) {
+  const daysLeft = getDaysLeft(car.expiryDate);
+  return {
+    carName: car.carName,
+    numberPlate: car.numberPlate,
+    expiryDate: moment(car.expiryDate).tz('Asia/Kolkata').format('YYYY-MM-DD'),
+    daysLeft,
+    status: getStatus(daysLeft, config),
+    ownerId: car.ownerId ?? null,
+    addedBy: car.addedBy,
+    category: car.category ?? null,
+    garage: car.garage ?? null,
+    policyNumber: car.policyNumber ?? null,
+    renewalCost: car.renewalCost ?? null,
+    notes: car.notes ?? null,
+    imageUrl: car.imageUrl ?? null,
+    imageMessageLink: car.imageMessageLink ?? null,
+    autoRenew: car.autoRenew?.enabled ? { days: car.autoRenew.days, cost: car.autoRenew.cost ?? null } : null,
+    lastUpdated: car.lastUpdated.toISOString()
+  };
+}
+
+function paginate(req, items) {
+  const limit = req.query.limit === undefined ? API_PAGE_SIZE : Number(req.query.limit);
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  if (!Number.isInteger(limit) || limit < 1 || limit > API_MAX_PAGE_SIZE) return { problem: `limit must be an integer from 1 to ${API_MAX_PAGE_SIZE}` };
+  if (!Number.isInteger(page) || page < 1) return { problem: 'page must be a positive integer' };
+
+  return {
+    items: items.slice((page - 1) * limit, page * limit),
+    pagination: { page, limit, total: items.length, totalPages: Math.max(1, Math.ceil(items.length / limit)) }
+  };
+}
+
+// Optional detail fields under the same limits as the slash command options; null clears a field on PATCH
+const API_TEXT_FIELDS = { garage: 50, policyNumber: 50, notes: 500 };
+
+function readApiCarDetails(body, values, problems) {
+  if ('category' in body) {
+    if (body.category === null || Object.hasOwn(CAR_CATEGORIES, body.category)) values.category = body.category ?? undefined;
+    else problems.push(`category must be one of ${Object.keys(CAR_CATEGORIES).join(', ')}`);
+  }
+  for (const [field, maxLength] of Object.entries(API_TEXT_FIELDS)) {
+    if (!(field in body)) continue;
+    if (body[field] === null) values[field] = undefined;
+    else if (typeof body[field] !== 'string' || body[field].trim().length > maxLength) problems.push(`${field} must be a string of at most ${maxLength} characters`);
+    else values[field] = body[field].trim() || undefined;
+  }
+  if ('renewalCost' in body) {
+    if (body.renewalCost === null) values.renewalCost = undefined;
+    else if (typeof body.renewalCost !== 'number' || !(body.renewalCost >= 0)) problems.push('renewalCost must be a number of 0 or more');
+    else values.renewalCost = body.renewalCost;
+  }
+  if ('imageUrl' in body) {
+    const problem = typeof body.imageUrl === 'string' ? getImageUrlProblem(body.imageUrl.trim()) : null;
+    if (body.imageUrl === null) values.imageUrl = undefined;
+    else if (typeof body.imageUrl !== 'string' || body.imageUrl.length > 500) problems.push('imageUrl must be a link of at most 500 characters');
+    else if (problem) problems.push(problem);
+    else Object.assign(values, { imageUrl: body.imageUrl.trim(), imageMessageLink: undefined });
+  }
+}
+
+function readApiAmount(body, problems) {
+  if (body.amount === undefined || body.amount === null) return undefined;
+  if (typeof body.amount !== 'number' || !(body.amount >= 0)) {
+    problems.push('amount must be a number of 0 or more');
+    return undefined;
+  }
+  return body.amount;
+}
+
+// Extensions, reductions and new cars take either a day count or a date, like the slash commands
+function readApiExpiryInput(body, daysField, problems) {
+  const hasDays = body[daysField] !== undefined;
+  const hasDate = body.expiryDate !== undefined;
+  if (hasDays === hasDate) {
+    problems.push(`Give either ${daysField} or expiryDate, not ${hasDays ? 'both' : 'neither'}`);
+    return null;
+  }
+  if (hasDays && !Number.isInteger(body[daysField])) {
+    problems.push(`${daysField} must be an integer`);
+    return null;
+  }
+  if (hasDate && typeof body.expiryDate !== 'string') {
+    problems.push('expiryDate must be a string (DD-MM-YYYY or YYYY-MM-DD)');
+    return null;
+  }
+  return String(hasDays ? body[daysField] : body.expiryDate);
+}
+
+const api = express.Router();
+api.use(express.json({ limit: '100kb' }));
+
+api.use(async (req, res, next) => {
+  const header = req.get('authorization') || '';
+  const key = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('x-api-key');
+  const apiKey = key ? await ApiKey.findOne({ keyHash: hashApiKey(key) }) : null;
+  if (!apiKey) {
+    sendApiError(res, 401, 'unauthorized', 'Missing or invalid API key');
+    return;
+  }
+  if (!['GET', 'HEAD'].includes(req.method) && apiKey.access !== 'write') {
+    sendApiError(res, 403, 'forbidden', 'This API key is read only');
+    return;
+  }
+
+  apiKey.lastUsedAt = new Date();
+  await apiKey.save();
+  req.apiKey = apiKey;
+  req.config = await getGuildConfig(apiKey.guildId);
+  // Changes made through the API are audited under the key's name
+  req.actor = { id: apiKey.id, tag: `API key ${apiKey.name}`, actorType: 'api_key' };
+  next();
+});
+
+api.get('/cars', async (req, res) => {
+  const { query, config } = req;
+  const problems = [];
+  if (query.status !== undefined && !['all', ...CAR_STATUSES].includes(query.status)) problems.push(`status must be one of all, ${CAR_STATUSES.join(', ')}`);
+  if (query.category !== undefined && !Object.hasOwn(CAR_CATEGORIES, query.category)) problems.push(`category must be one of ${Object.keys(CAR_CATEGORIES).join(', ')}`);
+  if (query.search !== undefined && (typeof query.search !== 'string' || query.search.length > 30)) problems.push('search must be at most 30 characters');
+  if (query.owner !== undefined && !isSnowflake(query.owner)) problems.push('owner must be a Discord user id');
+  if (query.sort !== undefined && !Object.hasOwn(CAR_SORT_FIELDS, query.sort)) problems.push(`sort must be one of ${Object.keys(CAR_SORT_FIELDS).join(', ')}`);
+  if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) problems.push('order must be asc or desc');
+  if (problems.length > 0) {
+    sendApiProblems(res, problems);
+    return;
+  }
+
+  const cars = await findCars(config, {
+    status: query.status,
+    category: query.category,
+    search: query.search,
+    ownerId: query.owner,
+    sort: query.sort,
+    order: query.order
+  });
+  const page = paginate(req, cars);
+  if (page.problem) {
+    sendApiProblems(res, [page.problem]);
+    return;
+  }
+  res.json({ data: page.items.map(car => toApiCar(car, config)), pagination: page.pagination });
+});
+
+api.post('/cars', async (req, res) => {
+  const body = req.body ?? {};
+  const problems = [];
+  const values = {};
+
+  const carName = typeof body.carName === 'string' ? body.carName.trim() : '';
+  if (!carName || carName.length > 100) problems.push('carName must be a string of 1-100 characters');
+  if (typeof body.numberPlate !== 'string' || !PLATE_PATTERN.test(body.numberPlate)) problems.push('numberPlate must be 2-15 letters, digits or hyphens');
+  if (body.ownerId !== undefined && body.ownerId !== null && !isSnowflake(body.ownerId)) problems.push('ownerId must be a Discord user id string');
+  readApiCarDetails(body, values, problems);
+  const amount = readApiAmount(body, problems);
+
+  let expiryDate;
+  const expiryInput = readApiExpiryInput(body, 'daysLeft', problems);
+  if (expiryInput !== null) {
+    const parsed = parseExpiryText(expiryInput);
+    if (parsed.problem) problems.push(parsed.problem);
+    expiryDate = parsed.expiryDate;
+  }
+  if (problems.length > 0) {
+    sendApiProblems(res, problems);
+    return;
+  }
+
+  try {
+    const car = await CarInsurance.create({
+      guildId: req.apiKey.guildId,
+      carName,
+      numberPlate: body.numberPlate,
+      expiryDate,
+      addedBy: req.actor.tag,
+      addedById: req.actor.id,
+      ownerId: body.ownerId ?? undefined,
+      ...values
+    });
+    await recordEvent('create', car, req.actor, { newExpiry: expiryDate, dayDelta: getDaysLeft(expiryDate), amount });
+    Logger.database(`New insurance added via API: ${carName} (${car.numberPlate}) by ${req.actor.tag}`, 'INSERT');
+    res.status(201).json({ data: toApiCar(car, req.config) });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    sendApiError(res, 409, 'duplicate_plate', `Number plate ${body.numberPlate} already exists`);
+  }
+});
+
+api.get('/alerts', async (req, res) => {
+  const { config } = req;
+  const cars = await CarInsurance.find({ guildId: req.apiKey.guildId }).sort({ expiryDate: 1, numberPlate: 1 });
+  const alerts = cars.filter(car => getDaysLeft(car.expiryDate) <= config.alertThreshold);
+
+  const page = paginate(req, alerts);
+  if (page.problem) {
+    sendApiProblems(res, [page.problem]);
+    return;
+  }
+  res.json({
+    data: page.items.map(car => ({
+      ...toApiCar(car, config),
+      snoozedUntil: car.snoozedUntil && car.snoozedUntil > new Date() ? car.snoozedUntil.toISOString() : null,
+      handled: isAlertHandled(car),
+      silenced: isAlertSilenced(car)
+    })),
+    pagination: page.pagination,
+    alertThreshold: config.alertThreshold
+  });
+});
+
+// Loads the car named in the URL for the per-car endpoints
+api.use('/cars/:plate', async (req, res, next) => {
+  req.car = await CarInsurance.findOne({ guildId: req.apiKey.guildId, numberPlate: req.params.plate });
+  if (!req.car) {
+    sendApiError(res, 404, 'not_found', `No insurance found for ${req.params.plate}`);
+    return;
+  }
+  next();
+});
+
+api.get('/cars/:plate', (req, res) => {
+  res.json({ data: toApiCar(req.car, req.config) });
+});
+
+api.patch('/cars/:plate', async (req, res) => {
+  const { car, actor } = req;
+  const body = req.body ?? {};
+  const editable = ['carName', 'numberPlate', 'ownerId', 'category', ...Object.keys(API_TEXT_FIELDS), 'renewalCost', 'imageUrl'];
+  const problems = [];
+  const changes = {};
+
+  for (const field of Object.keys(body)) {
+    if (field === 'expiryDate') problems.push('expiryDate cannot be patched; use the extend or reduce endpoints');
+    else if (!editable.includes(field)) problems.push(`Unknown field ${field}`);
+  }
+  if ('carName' in body) {
+    const carName = typeof body.carName === 'string' ? body.carName.trim() : '';
+    if (!carName || carName.length > 100) problems.push('carName must be a string of 1-100 characters');
+    else changes.carName = carName;
+  }
+  if ('numberPlate' in body) {
+    if (typeof body.numberPlate !== 'string' || !PLATE_PATTERN.test(body.numberPlate)) problems.push('numberPlate must be 2-15 letters, digits or hyphens');
+    else changes.numberPlate = body.numberPlate;
+  }
+  if ('ownerId' in body && body.ownerId !== null && !isSnowflake(body.ownerId)) problems.push('ownerId must be a Discord user id string or null');
+  readApiCarDetails(body, changes, problems);
+  if (problems.length > 0) {
+    sendApiProblems(res, problems);
+    return;
+  }
+
+  const { duplicate } = await applyCarEdits(car, changes, actor);
+  if (duplicate) {
+    sendApiError(res, 409, 'duplicate_plate', `Number plate ${changes.numberPlate} already exists`);
+    return;
+  }
+
+  // Ownership is audited as its own event, like /assign_owner
+  if ('ownerId' in body && (car.ownerId ?? null) !== body.ownerId) {
+    car.ownerId = body.ownerId ?? undefined;
+    car.lastUpdated = new Date();
+    await car.save();
+    await recordEvent('assign_owner', car, actor, { ownerId: car.ownerId });
+    Logger.database(`Owner of ${car.carName} (${car.numberPlate}) set to ${car.ownerId || 'nobody'} by ${actor.tag}`, 'UPDATE');
+  }
+
+  res.json({ data: toApiCar(car, req.config) });
+});
+
+api.delete('/cars/:plate', async (req, res) => {
+  const car = await trashCar(req.apiKey.guildId, req.car.numberPlate, req.actor);
+  if (!car) {
+    sendApiError(res, 404, 'not_found', `No insurance found for ${req.params.plate}`);
+    return;
+  }
+  res.json({ data: toApiCar(car, req.config), restorableUntil: moment().add(TRASH_RETENTION_DAYS, 'days').toISOString() });
+});
+
+for (const mode of ['extend', 'reduce']) {
+  api.post(`/cars/:plate/${mode}`, async (req, res) => {
+    const { car, actor } = req;
+    const body = req.body ?? {};
+    const problems = [];
+    const amount = mode === 'extend' ? readApiAmount(body, problems) : undefined;
+    if (mode === 'reduce' && body.amount !== undefined) problems.push('amount is only recorded on extensions');
+
+    const input = readApiExpiryInput(body, 'days', problems);
+    const plan = input === null ? {} : planExpiryChange(car, mode, input);
+    if (plan.problem) problems.push(plan.problem);
+    if (problems.length > 0) {
+      sendApiProblems(res, problems);
+      return;
+    }
+
+    car.expiryDate = plan.newExpiry.toDate();
+    car.lastUpdated = new Date();
+    await car.save();
+    await recordEvent(mode, car, actor, { oldExpiry: plan.oldExpiry.toDate(), newExpiry: car.expiryDate, dayDelta: plan.dayDelta, amount });
+    Logger.database(`Insurance ${mode === 'extend' ? 'extended' : 'reduced'} via API: ${car.carName} (${car.numberPlate}) by ${plan.dayDelta} days`, 'UPDATE');
+
+    res.json({
+      data: toApiCar(car, req.config),
+      change: { oldExpiry: plan.oldExpiry.format('YYYY-MM-DD'), newExpiry: plan.newExpiry.format('YYYY-MM-DD'), dayDelta: plan.dayDelta }
+    });
+  });
+}
+
+api.use((req, res) => {
+  sendApiError(res, 404, 'not_found', `No endpoint for ${req.method} ${req.baseUrl}${req.path}`);
+});
+
+api.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    sendApiError(res, 400, 'invalid_json', 'Request body is not valid JSON');
+    return;
+  }
+  if (err.type === 'entity.too.large') {
+    sendApiError(res, 413, 'payload_too_large', 'Request body is too large');
+    return;
+  }
+  Logger.error(`API error on ${req.method} ${req.originalUrl}: ${err.message}`, 'API');
+  sendApiError(res, 500, 'internal_error', 'Something went wrong');
+});
+
+app.use('/api/v1', api);
+
+// Calendar feeds: one all-day event per car on its expiry day, reachable only through the secret link
+const CALENDAR_ALARM_HOUR = 9;
+
+// Escapes TEXT values and folds lines at 75 octets, as RFC 5545 requires
+function escapeIcsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// All-day events start at local midnight, so the alarm is the offset back to 09:00 on the chosen day
+function getAlarmTrigger(alarmDays) {
+  const hours = alarmDays * 24 - CALENDAR_ALARM_HOUR;
+  if (hours <= 0) return `PT${-hours}H`;
+  return `-P${Math.floor(hours / 24)}DT${hours % 24}H`;
+}
+
+function toIcsCalendar(cars, { name, alarmDays, guildId }) {
+  const stamp = moment.utc().format('YYYYMMDD[T]HHmmss[Z]');
+  const dashboardUrl = process.env.DASHBOARD_URL ? process.env.DASHBOARD_URL.replace(/\/+$/, '') : null;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Car Insurance Bot//Expiry Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    'X-WR-TIMEZONE:Asia/Kolkata',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT4H',
+    'X-PUBLISHED-TTL:PT4H'
+  ];
+
+  for (const car of cars) {
+    // The expiry day is an IST calendar date, so it is written as a floating DATE and never shifts with the viewer's zone
+    const expiry = moment(car.expiryDate).tz('Asia/Kolkata');
+    const summary = `${car.category ? `${CAR_CATEGORIES[car.category]} ` : ''}${car.carName} (${car.numberPlate}) insurance expires`;
+    const description = [
+      `Number plate: ${car.numberPlate}`,
+      `Expiry: ${expiry.format('DD MMM YYYY')} (IST)`,
+      car.garage ? `Garage: ${car.garage}` : null,
+      car.policyNumber ? `Policy: ${car.policyNumber}` : null,
+      car.renewalCost != null ? `Renewal cost: ${formatMoney(car.renewalCost)}` : null,
+      car.autoRenew?.enabled ? `Auto-renews for ${car.autoRenew.days} days` : null,
+      car.notes ? `Notes: ${car.notes}` : null
+    ].filter(Boolean).join('\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${car.id}@car-insurance-bot`,
+      `DTSTAMP:${stamp}`,
+      `LAST-MODIFIED:${moment.utc(car.lastUpdated).format('YYYYMMDD[T]HHmmss[Z]')}`,
+      `DTSTART;VALUE=DATE:${expiry.format('YYYYMMDD')}`,
+      `DTEND;VALUE=DATE:${expiry.clone().add(1, 'day').format('YYYYMMDD')}`,
+      `SUMMARY:${escapeIcsText(summary)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      'TRANSP:TRANSPARENT'
+    );
+    if (dashboardUrl) lines.push(`URL:${dashboardUrl}/dashboard/${guildId}/cars/${encodeURIComponent(car.numberPlate)}`);
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeIcsText(summary)}`,
+      `TRIGGER:${getAlarmTrigger(alarmDays)}`,
+      'END:VALARM',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+app.get('/calendar/:token.ics', async (req, res) => {
+  const feed = await CalendarFeed.findOne({ token: req.params.token });
+  const guild = feed ? client.guilds.cache.get(feed.guildId) : null;
+  // Access is re-checked on every fetch, so members who leave or lose the view permission stop getting the fleet
+  const member = guild ? await guild.members.fetch(feed.userId).catch(() => null) : null;
+  const config = member ? await getGuildConfig(guild.id) : null;
+  if (!member || (feed.scope === 'guild' && !hasPermission(member, config, 'view'))) {
+    res.status(404).type('text/plain').send('Calendar not found');
+    return;
+  }
+
+  const query = { guildId: guild.id };
+  if (feed.scope === 'owner') query.ownerId = feed.userId;
+  const cars = await CarInsurance.find(query).sort({ expiryDate: 1, numberPlate: 1 });
+
+  feed.lastFetchedAt = new Date();
+  await feed.save();
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="insurance-${feed.scope}.ics"`,
+    'Cache-Control': 'private, max-age=900'
+  });
+  res.send(toIcsCalendar(cars, {
+    name: feed.scope === 'guild' ? `${guild.name} insurance expiries` : `My insurance expiries (${guild.name})`,
+    alarmDays: feed.alarmDays,
+    guildId: guild.id
+  }));
+});
+
+// Start Bot
+if (require.main === module) {
+  client.login(process.env.DISCORD_BOT_TOKEN)
+    .then(() => Logger.startup('Bot is now running'))
+    .catch(err => {
+      Logger.error(`Login failed: ${err.message}`, 'STARTUP');
+      process.exit(1);
+    });
+
+  // Process termination handlers
+  process.on('SIGTERM', () => {
+    Logger.log('Received SIGTERM - Shutting down gracefully', 'info');
+    client.destroy();
+    mongoose.connection.close();
+    process.exit(0);
+  });
+
+  process.on('SIGINT', () => {
+    Logger.log('Received SIGINT - Shutting down gracefully', 'info');
+    client.destroy();
+    mongoose.connection.close();
+    process.exit(0);
+  });
+
+  process.on('unhandledRejection', (err) => {
+    Logger.error(`Unhandled rejection: ${err.message}`, 'UNHANDLED REJECTION');
+  });
+
+  process.on('uncaughtException', (err) => {
+    Logger.error(`Uncaught exception: ${err.message}`, 'UNCAUGHT EXCEPTION');
+    process.exit(1);
+  });
+}
+
+// Pure helpers, exported for the tests
+module.exports = {
+  migrations,
+  CarInsurance,
+  getDaysLeft,
+  getExpiryDate,
+  parseExpiryText,
+  planExpiryChange,
+  parseAmountText,
+  getDueReminderStage,
+  escapeIcsText,
+  foldIcsLine,
+  getAlarmTrigger,
+  toIcsCalendar,
+  getWebhookUrlProblem,
+  parseWebhookEvents,
+  isSnowflake,
+  paginate,
+  readApiCarDetails,
+  readApiAmount,
+  readApiExpiryInput
+};
@@ -0,0 +1,220 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const moment = require('moment-timezone');
+
+const {
+  migrations,
+  CarInsurance,
+  getDaysLeft,
+  getExpiryDate,
+  parseExpiryText,
+  planExpiryChange,
+  parseAmountText,
+  getDueReminderStage,
+  escapeIcsText,
+  foldIcsLine,
+  getAlarmTrigger,
+  toIcsCalendar,
+  getWebhookUrlProblem,
+  parseWebhookEvents,
+  isSnowflake,
+  paginate,
+  readApiCarDetails,
+  readApiAmount,
+  readApiExpiryInput
+} = require('../index.js');
+
+afterEach(() => mock.restoreAll());
+
+const runMigration = name => migrations.find(migration => migration.name === name).up();
+
+describe('migrations', () => {
+  it('001 rounds a stored expiry time up to the next IST day and keeps midnight as is', async () => {
+    const cars = [
+      { _id: 'midnight', expiryDate: new Date('2026-05-10T18:30:00Z') },
+      { _id: 'morning', expiryDate: new Date('2026-05-11T05:00:00Z') }
+    ];
+    mock.method(CarInsurance.collection, 'find', () => ({ toArray: async () => cars }));
+    const updateOne = mock.method(CarInsurance.collection, 'updateOne', async () => ({}));
+
+    assert.deepEqual(await runMigration('001-calendar-expiry-dates'), { normalized: 2 });
+    const saved = Object.fromEntries(updateOne.mock.calls.map(({ arguments: [filter, update] }) => [filter._id, update]));
+    assert.equal(saved.midnight.$set.expiryDate.toISOString(), '2026-05-10T18:30:00.000Z');
+    assert.equal(saved.morning.$set.expiryDate.toISOString(), '2026-05-11T18:30:00.000Z');
+    assert.deepEqual(saved.morning.$unset, { lastDayDecrease: '' });
+  });
+
+  it('004 keeps the Discord CDN links it clears', async () => {
+    const cars = [{ _id: 1, guildId: 'g1', numberPlate: 'MH01', imageUrl: 'https://cdn.discordapp.com/attachments/1/2/car.png' }];
+    mock.method(console, 'log', () => {});
+    mock.method(CarInsurance.collection, 'find', () => ({ toArray: async () => cars }));
+    const updateMany = mock.method(CarInsurance.collection, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+    const details = await runMigration('004-drop-expiring-image-links');
+    assert.deepEqual(details, { cleared: [{ guildId: 'g1', numberPlate: 'MH01', imageUrl: cars[0].imageUrl }] });
+    assert.deepEqual(updateMany.mock.calls[0].arguments, [{ _id: { $in: [1] } }, { $unset: { imageUrl: '' } }]);
+  });
+
+  it('have unique names', () => {
+    const names = migrations.map(migration => migration.name);
+    assert.equal(new Set(names).size, names.length);
+  });
+});
+
+describe('expiry input', () => {
+  it('accepts 0 days left as today and rejects counts over the cap', () => {
+    assert.equal(getDaysLeft(parseExpiryText('0').expiryDate), 0);
+    assert.equal(getDaysLeft(parseExpiryText('3650').expiryDate), 3650);
+    assert.match(parseExpiryText('3651').problem, /between 0 and 3650/);
+    assert.match(parseExpiryText('31-02-2026').problem, /not a valid date/);
+  });
+
+  it('plans extensions and reductions within today and the cap', () => {
+    const car = { expiryDate: getExpiryDate(5) };
+    assert.equal(planExpiryChange(car, 'extend', '7').dayDelta, 7);
+    assert.equal(planExpiryChange(car, 'reduce', '5').dayDelta, -5);
+    assert.match(planExpiryChange(car, 'reduce', '6').problem, /into the past/);
+    assert.match(planExpiryChange(car, 'extend', '3650').problem, /years away/);
+    assert.match(planExpiryChange(car, 'extend', moment(car.expiryDate).tz('Asia/Kolkata').format('DD-MM-YYYY')).problem, /not after/);
+  });
+
+  it('reads typed amounts', () => {
+    assert.deepEqual(parseAmountText(''), {});
+    assert.deepEqual(parseAmountText('$1,200'), { amount: 1200 });
+    assert.ok(parseAmountText('-5').problem);
+  });
+});
+
+describe('getDueReminderStage', () => {
+  const config = { reminderStages: [{ days: 7 }, { days: 3 }, { days: 1 }] };
+
+  it('returns the closest stage reached', () => {
+    assert.equal(getDueReminderStage({ expiryDate: getExpiryDate(2) }, config).days, 3);
+    assert.equal(getDueReminderStage({ expiryDate: getExpiryDate(10) }, config), null);
+  });
+
+  it('skips a stage already sent for the same expiry only', () => {
+    const expiryDate = getExpiryDate(2);
+    const reminders = { expiryDate, stages: [7, 3] };
+    assert.equal(getDueReminderStage({ expiryDate, reminders }, config), null);
+    assert.equal(getDueReminderStage({ expiryDate, reminders: { ...reminders, expiryDate: getExpiryDate(9) } }, config).days, 3);
+  });
+});
+
+describe('calendar feed', () => {
+  it('escapes text values', () => {
+    assert.equal(escapeIcsText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+  });
+
+  it('folds lines at 75 octets without splitting characters', () => {
+    assert.equal(foldIcsLine('short'), 'short');
+    const parts = foldIcsLine('x'.repeat(200)).split('\r\n');
+    assert.equal(parts[0].length, 75);
+    assert.ok(parts.slice(1).every(part => part.startsWith(' ') && Buffer.byteLength(part) <= 75));
+    assert.equal(parts.map((part, index) => (index ? part.slice(1) : part)).join(''), 'x'.repeat(200));
+    assert.ok(foldIcsLine('🚗'.repeat(40)).split('\r\n ').every(part => [...part].every(char => char === '🚗')));
+  });
+
+  it('sets alarms for 09:00 the chosen number of days before', () => {
+    assert.equal(getAlarmTrigger(0), 'PT9H');
+    assert.equal(getAlarmTrigger(1), '-P0DT15H');
+    assert.equal(getAlarmTrigger(7), '-P6DT15H');
+  });
+
+  it('writes each expiry as an all-day event', () => {
+    const car = { carName: 'Camry', numberPlate: 'MH01-AB-1234', expiryDate: getExpiryDate(3) };
+    const ics = toIcsCalendar([car], { name: 'Fleet', alarmDays: 1, guildId: 'g1' });
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n') && ics.endsWith('END:VCALENDAR\r\n'));
+    assert.match(ics, new RegExp(`DTSTART;VALUE=DATE:${moment(car.expiryDate).tz('Asia/Kolkata').format('YYYYMMDD')}`));
+    assert.match(ics, /TRIGGER:-P0DT15H/);
+  });
+});
+
+describe('getWebhookUrlProblem', () => {
+  const resolveTo = (...addresses) => mock.method(dns.promises, 'lookup', async () => addresses);
+
+  it('accepts hosts that resolve to public addresses', async () => {
+    resolveTo({ address: '93.184.216.34', family: 4 });
+    assert.equal(await getWebhookUrlProblem('https://hooks.example.com/in'), null);
+  });
+
+  it('rejects other schemes and unresolvable hosts', async () => {
+    assert.match(await getWebhookUrlProblem('ftp://example.com'), /not an http/);
+    mock.method(dns.promises, 'lookup', async () => { throw new Error('ENOTFOUND'); });
+    assert.match(await getWebhookUrlProblem('https://nowhere.invalid'), /could not be resolved/);
+  });
+
+  it('rejects hosts with any private, loopback or link-local address', async () => {
+    for (const address of ['10.0.0.5', '127.0.0.1', '169.254.169.254', '192.168.1.1']) {
+      resolveTo({ address: '93.184.216.34', family: 4 }, { address, family: 4 });
+      assert.match(await getWebhookUrlProblem('https://hooks.example.com'), /private or internal/, address);
+      mock.restoreAll();
+    }
+    resolveTo({ address: 'fd00::1', family: 6 });
+    assert.match(await getWebhookUrlProblem('https://[fd00::1]/'), /private or internal/);
+  });
+
+  it('parses event lists', () => {
+    assert.deepEqual(parseWebhookEvents('extend, create extend').events, ['extend', 'create']);
+    assert.ok(parseWebhookEvents('all').events.includes('alert'));
+    assert.match(parseWebhookEvents('constructor').problem, /Unknown event/);
+  });
+});
+
+describe('API validators', () => {
+  it('checks snowflakes and pagination', () => {
+    assert.ok(isSnowflake('123456789012345678'));
+    assert.ok(!isSnowflake(123456789012345678));
+    const { items, pagination } = paginate({ query: { limit: '2', page: '2' } }, [1, 2, 3, 4, 5]);
+    assert.deepEqual(items, [3, 4]);
+    assert.deepEqual(pagination, { page: 2, limit: 2, total: 5, totalPages: 3 });
+    assert.ok(paginate({ query: { limit: '0' } }, []).problem);
+    assert.ok(paginate({ query: { page: '1.5' } }, []).problem);
+  });
+
+  it('reads amounts', () => {
+    const problems = [];
+    assert.equal(readApiAmount({}, problems), undefined);
+    assert.equal(readApiAmount({ amount: 250 }, problems), 250);
+    assert.equal(readApiAmount({ amount: '250' }, problems), undefined);
+    assert.equal(readApiAmount({ amount: -1 }, problems), undefined);
+    assert.equal(problems.length, 2);
+  });
+
+  it('takes exactly one of a day count or a date', () => {
+    const problems = [];
+    assert.equal(readApiExpiryInput({ days: 30 }, 'days', problems), '30');
+    assert.equal(readApiExpiryInput({ expiryDate: '01-01-2027' }, 'days', problems), '01-01-2027');
+    assert.equal(readApiExpiryInput({ days: 30, expiryDate: '01-01-2027' }, 'days', problems), null);
+    assert.equal(readApiExpiryInput({ days: 1.5 }, 'days', problems), null);
+    assert.equal(readApiExpiryInput({ expiryDate: 20270101 }, 'days', problems), null);
+    assert.deepEqual(problems, [
+      'Give either days or expiryDate, not both',
+      'days must be an integer',
+      'expiryDate must be a string (DD-MM-YYYY or YYYY-MM-DD)'
+    ]);
+  });
+
+  it('reads car details, where null clears a field', () => {
+    const values = {};
+    const problems = [];
+    readApiCarDetails({ category: 'bike', notes: '  spare key in office ', garage: null, renewalCost: 120, imageUrl: 'https://i.example.com/car.png' }, values, problems);
+    assert.deepEqual(problems, []);
+    assert.deepEqual(values, {
+      category: 'bike',
+      notes: 'spare key in office',
+      garage: undefined,
+      renewalCost: 120,
+      imageUrl: 'https://i.example.com/car.png',
+      imageMessageLink: undefined
+    });
+  });
+
+  it('rejects invalid car details', () => {
+    const problems = [];
+    readApiCarDetails({ category: 'plane', notes: 'x'.repeat(501), renewalCost: -1, imageUrl: 'https://cdn.discordapp.com/attachments/1/2/a.png' }, {}, problems);
+    assert.equal(problems.length, 4);
+    assert.match(problems[3], /expire/);
+  });
+});